@@ -6,6 +6,7 @@ using SetlistStudio.Core.Entities;
 using SetlistStudio.Core.Security;
 using SetlistStudio.Web.Models;
 using SetlistStudio.Web.Security;
+using SetlistStudio.Web.Utilities;
 using System.ComponentModel.DataAnnotations;
 
 namespace SetlistStudio.Web.Controllers;
@@ -51,6 +52,7 @@ public class SetlistsController : ControllerBase
                     Name = s!.Name,
                     Description = s!.Description,
                     CreatedDate = s!.CreatedAt,
+                    UpdatedAt = s!.UpdatedAt ?? s!.CreatedAt,
                     SongCount = s!.SetlistSongs?.Count ?? 0
                 });
 
@@ -111,6 +113,7 @@ public class SetlistsController : ControllerBase
                 Name = s.Name,
                 Description = s.Description,
                 CreatedDate = s.CreatedAt,
+                UpdatedAt = s.UpdatedAt ?? s.CreatedAt,
                 SongCount = s.SetlistSongs?.Count ?? 0
             });
 
@@ -175,6 +178,7 @@ public class SetlistsController : ControllerBase
                 Name = createdSetlist.Name,
                 Description = createdSetlist.Description,
                 CreatedDate = createdSetlist.CreatedAt,
+                UpdatedAt = createdSetlist.UpdatedAt ?? createdSetlist.CreatedAt,
                 SongCount = 0
             };
 
@@ -204,10 +208,10 @@ public class SetlistsController : ControllerBase
     }
 
     /// <summary>
-    /// Get a specific setlist by ID
+    /// Get a specific setlist by ID, with its songs in performance order
     /// </summary>
     [HttpGet("{id}")]
-    public async Task<ActionResult<SetlistResponse>> GetSetlist(int id)
+    public async Task<ActionResult<SetlistDetailResponse>> GetSetlist(int id)
     {
         try
         {
@@ -219,16 +223,7 @@ public class SetlistsController : ControllerBase
                 return NotFound();
             }
 
-            var response = new SetlistResponse
-            {
-                Id = setlist.Id,
-                Name = setlist.Name,
-                Description = setlist.Description,
-                CreatedDate = setlist.CreatedAt,
-                SongCount = setlist.SetlistSongs?.Count ?? 0
-            };
-
-            return Ok(response);
+            return Ok(ToSetlistDetailResponse(setlist));
         }
         catch (ArgumentException ex)
         {
@@ -253,6 +248,179 @@ public class SetlistsController : ControllerBase
         }
     }
 
+    /// <summary>
+    /// Update a setlist's name and description. Edits replayed from the offline outbox carry
+    /// the version they were based on and are rejected with 409 if the setlist changed since
+    /// </summary>
+    [HttpPut("{id}")]
+    [ValidateAntiForgeryToken]
+    public async Task<ActionResult<SetlistDetailResponse>> UpdateSetlist(int id, [FromBody] UpdateSetlistRequest request)
+    {
+        try
+        {
+            if (!ModelState.IsValid)
+            {
+                return BadRequest(ModelState);
+            }
+
+            if (ContainsMaliciousContent(request.Name) || ContainsMaliciousContent(request.Description))
+            {
+                _logger.LogWarning("Malicious content detected in setlist update request");
+                return BadRequest("Invalid setlist data");
+            }
+
+            var userId = User.Identity?.Name ?? "anonymous";
+            var existingSetlist = await _setlistService.GetSetlistByIdAsync(id, userId);
+            if (existingSetlist == null)
+            {
+                return NotFound();
+            }
+
+            if (EntityVersionUtility.IsStale(Request, EntityVersionUtility.GetVersion(existingSetlist.CreatedAt, existingSetlist.UpdatedAt)))
+            {
+                return Conflict("Setlist was changed since this edit was made");
+            }
+
+            var setlist = new Setlist
+            {
+                Id = id,
+                Name = request.Name,
+                Description = request.Description,
+                Venue = existingSetlist.Venue,
+                PerformanceDate = existingSetlist.PerformanceDate,
+                ExpectedDurationMinutes = existingSetlist.ExpectedDurationMinutes,
+                IsTemplate = existingSetlist.IsTemplate,
+                IsActive = existingSetlist.IsActive,
+                PerformanceNotes = existingSetlist.PerformanceNotes,
+                UserId = userId
+            };
+
+            var updatedSetlist = await _setlistService.UpdateSetlistAsync(setlist, userId);
+            if (updatedSetlist == null)
+            {
+                return NotFound();
+            }
+
+            // Only the name and description changed - the songs are the ones read above
+            return Ok(ToSetlistDetailResponse(updatedSetlist, existingSetlist.SetlistSongs));
+        }
+        catch (ArgumentException ex)
+        {
+            _logger.LogWarning(ex, "Invalid setlist data provided for setlist {SetlistId}", id);
+            return BadRequest("Invalid setlist data");
+        }
+        catch (UnauthorizedAccessException ex)
+        {
+            _logger.LogWarning(ex, "Unauthorized update attempt for setlist {SetlistId}", id);
+            return Forbid();
+        }
+        catch (InvalidOperationException ex)
+        {
+            _logger.LogError(ex, "Service unavailable for setlist {SetlistId}", id);
+            return StatusCode(503, "Service temporarily unavailable");
+        }
+        // CodeQL[cs/catch-of-all-exceptions] - Final safety net for controller boundary
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error updating setlist {SetlistId}", id);
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
+    /// <summary>
+    /// Delete a setlist, rejected with 409 like updates when based on an outdated version
+    /// </summary>
+    [HttpDelete("{id}")]
+    [ValidateAntiForgeryToken]
+    public async Task<IActionResult> DeleteSetlist(int id)
+    {
+        try
+        {
+            var userId = User.Identity?.Name ?? "anonymous";
+            var existingSetlist = await _setlistService.GetSetlistByIdAsync(id, userId);
+            if (existingSetlist == null)
+            {
+                return NotFound();
+            }
+
+            if (EntityVersionUtility.IsStale(Request, EntityVersionUtility.GetVersion(existingSetlist.CreatedAt, existingSetlist.UpdatedAt)))
+            {
+                return Conflict("Setlist was changed since this delete was made");
+            }
+
+            var deleted = await _setlistService.DeleteSetlistAsync(id, userId);
+            return deleted ? NoContent() : NotFound();
+        }
+        catch (UnauthorizedAccessException ex)
+        {
+            _logger.LogWarning(ex, "Unauthorized delete attempt for setlist {SetlistId}", id);
+            return Forbid();
+        }
+        catch (InvalidOperationException ex)
+        {
+            _logger.LogError(ex, "Service unavailable for setlist {SetlistId}", id);
+            return StatusCode(503, "Service temporarily unavailable");
+        }
+        // CodeQL[cs/catch-of-all-exceptions] - Final safety net for controller boundary
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error deleting setlist {SetlistId}", id);
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
+    private static SetlistDetailResponse ToSetlistDetailResponse(Setlist setlist, ICollection<SetlistSong>? setlistSongs = null)
+    {
+        setlistSongs ??= setlist.SetlistSongs;
+
+        return new SetlistDetailResponse
+        {
+            Id = setlist.Id,
+            Name = setlist.Name,
+            Description = setlist.Description,
+            CreatedDate = setlist.CreatedAt,
+            UpdatedAt = setlist.UpdatedAt ?? setlist.CreatedAt,
+            SongCount = setlistSongs?.Count ?? 0,
+            Venue = setlist.Venue,
+            PerformanceDate = setlist.PerformanceDate,
+            PerformanceNotes = setlist.PerformanceNotes,
+            // Songs are embedded so one cached response is enough to perform offline
+            SetlistSongs = (setlistSongs ?? Enumerable.Empty<SetlistSong>())
+                .OrderBy(ss => ss.Position)
+                .Select(ToSetlistSongResponse)
+                .ToList()
+        };
+    }
+
+    private static SetlistSongResponse ToSetlistSongResponse(SetlistSong setlistSong)
+    {
+        var song = setlistSong.Song;
+
+        return new SetlistSongResponse
+        {
+            Id = setlistSong.Id,
+            SongId = setlistSong.SongId,
+            Position = setlistSong.Position,
+            CustomKey = setlistSong.CustomKey,
+            CustomBpm = setlistSong.CustomBpm,
+            TransitionNotes = setlistSong.TransitionNotes,
+            PerformanceNotes = setlistSong.PerformanceNotes,
+            IsEncore = setlistSong.IsEncore,
+            IsOptional = setlistSong.IsOptional,
+            Song = song == null ? null : new SetlistSongDetails
+            {
+                Id = song.Id,
+                Title = song.Title,
+                Artist = song.Artist,
+                Genre = song.Genre,
+                Bpm = song.Bpm,
+                MusicalKey = song.MusicalKey,
+                DurationSeconds = song.DurationSeconds,
+                Notes = song.Notes
+            }
+        };
+    }
+
     /// <summary>
     /// Check if content contains malicious patterns
     /// </summary>
@@ -5,6 +5,7 @@ using SetlistStudio.Core.Entities;
 using SetlistStudio.Core.Interfaces;
 using SetlistStudio.Core.Security;
 using SetlistStudio.Web.Security;
+using SetlistStudio.Web.Utilities;
 using System.ComponentModel.DataAnnotations;
 using System.Security.Claims;
 
@@ -104,6 +105,33 @@ public class SongsController : ControllerBase
         }
     }
 
+    [HttpGet("{id:int}")]
+    public async Task<IActionResult> GetSong(int id)
+    {
+        try
+        {
+            var userId = SecureUserContext.GetSanitizedUserId(User);
+            var song = await _songService.GetSongByIdAsync(id, userId);
+            return song == null ? NotFound() : Ok(song);
+        }
+        catch (UnauthorizedAccessException ex)
+        {
+            _logger.LogWarning(ex, "Unauthorized access to song {SongId}", id);
+            return Forbid();
+        }
+        catch (InvalidOperationException ex)
+        {
+            _logger.LogError(ex, "Song service unavailable for song {SongId}", id);
+            return StatusCode(503, new { error = "Song service temporarily unavailable" });
+        }
+        // CodeQL[cs/catch-of-all-exceptions] - Final safety net for controller boundary
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error retrieving song {SongId}", id);
+            return StatusCode(500, new { error = "An error occurred while retrieving the song" });
+        }
+    }
+
     [HttpPost]
     [ValidateAntiForgeryToken]
     public async Task<IActionResult> CreateSong([FromBody] CreateSongRequest request)
@@ -155,6 +183,113 @@ public class SongsController : ControllerBase
         }
     }
 
+    [HttpPut("{id:int}")]
+    [ValidateAntiForgeryToken]
+    public async Task<IActionResult> UpdateSong(int id, [FromBody] UpdateSongRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var userId = SecureUserContext.GetSanitizedUserId(User);
+            var existingSong = await _songService.GetSongByIdAsync(id, userId);
+            if (existingSong == null)
+            {
+                return NotFound();
+            }
+
+            // An offline edit based on an older copy must not overwrite a newer change
+            var currentVersion = EntityVersionUtility.GetVersion(existingSong.CreatedAt, existingSong.UpdatedAt);
+            if (EntityVersionUtility.IsStale(Request, currentVersion))
+            {
+                return Conflict(new { error = "The song was changed since this edit was made", currentVersion });
+            }
+
+            var song = new Song
+            {
+                Id = id,
+                Title = request.Title,
+                Artist = request.Artist,
+                Album = request.Album,
+                Genre = request.Genre,
+                Bpm = request.Bpm,
+                MusicalKey = request.MusicalKey,
+                DurationSeconds = request.DurationSeconds,
+                Notes = request.Notes,
+                Tags = request.Tags,
+                DifficultyRating = request.DifficultyRating,
+                UserId = userId
+            };
+
+            var updatedSong = await _songService.UpdateSongAsync(song, userId);
+            return updatedSong == null ? NotFound() : Ok(updatedSong);
+        }
+        catch (ArgumentException ex)
+        {
+            _logger.LogWarning(ex, "Invalid song data provided for song {SongId}", id);
+            return BadRequest(new { error = "Invalid song data provided" });
+        }
+        catch (UnauthorizedAccessException ex)
+        {
+            _logger.LogWarning(ex, "Unauthorized update attempt for song {SongId}", id);
+            return Forbid();
+        }
+        catch (InvalidOperationException ex)
+        {
+            _logger.LogError(ex, "Song service unavailable for song {SongId}", id);
+            return StatusCode(503, new { error = "Song service temporarily unavailable" });
+        }
+        // CodeQL[cs/catch-of-all-exceptions] - Final safety net for controller boundary
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error updating song {SongId}", id);
+            return StatusCode(500, new { error = "An error occurred while updating the song" });
+        }
+    }
+
+    [HttpDelete("{id:int}")]
+    [ValidateAntiForgeryToken]
+    public async Task<IActionResult> DeleteSong(int id)
+    {
+        try
+        {
+            var userId = SecureUserContext.GetSanitizedUserId(User);
+            var existingSong = await _songService.GetSongByIdAsync(id, userId);
+            if (existingSong == null)
+            {
+                return NotFound();
+            }
+
+            var currentVersion = EntityVersionUtility.GetVersion(existingSong.CreatedAt, existingSong.UpdatedAt);
+            if (EntityVersionUtility.IsStale(Request, currentVersion))
+            {
+                return Conflict(new { error = "The song was changed since this delete was made", currentVersion });
+            }
+
+            var deleted = await _songService.DeleteSongAsync(id, userId);
+            return deleted ? NoContent() : NotFound();
+        }
+        catch (UnauthorizedAccessException ex)
+        {
+            _logger.LogWarning(ex, "Unauthorized delete attempt for song {SongId}", id);
+            return Forbid();
+        }
+        catch (InvalidOperationException ex)
+        {
+            _logger.LogError(ex, "Song service unavailable for song {SongId}", id);
+            return StatusCode(503, new { error = "Song service temporarily unavailable" });
+        }
+        // CodeQL[cs/catch-of-all-exceptions] - Final safety net for controller boundary
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error deleting song {SongId}", id);
+            return StatusCode(500, new { error = "An error occurred while deleting the song" });
+        }
+    }
+
     private static bool ContainsMaliciousContent(string input)
     {
         if (string.IsNullOrEmpty(input))
@@ -201,4 +336,50 @@ public class CreateSongRequest
     [StringLength(1000)]
     [SafeString(MaxLength = 1000, AllowEmpty = true)]
     public string? Notes { get; set; }
+}
+
+/// <summary>
+/// Request model for updating a song. Property names match the song JSON, so an offline
+/// edit can be merged field by field with the server copy
+/// </summary>
+public class UpdateSongRequest
+{
+    [Required]
+    [StringLength(200)]
+    [SafeString(MaxLength = 200, AllowEmpty = false)]
+    public string Title { get; set; } = string.Empty;
+
+    [Required]
+    [StringLength(100)]
+    [SafeString(MaxLength = 100, AllowEmpty = false)]
+    public string Artist { get; set; } = string.Empty;
+
+    [StringLength(200)]
+    [SafeString(MaxLength = 200, AllowEmpty = true)]
+    public string? Album { get; set; }
+
+    [StringLength(50)]
+    [SafeString(MaxLength = 50, AllowEmpty = true)]
+    public string? Genre { get; set; }
+
+    [SafeBpm(MinBpm = 40, MaxBpm = 250)]
+    public int? Bpm { get; set; }
+
+    [StringLength(10)]
+    [MusicalKey]
+    public string? MusicalKey { get; set; }
+
+    [Range(1, 3600)]
+    public int? DurationSeconds { get; set; }
+
+    [StringLength(2000)]
+    [SafeString(MaxLength = 2000, AllowEmpty = true, AllowNewlines = true)]
+    public string? Notes { get; set; }
+
+    [StringLength(500)]
+    [SafeString(MaxLength = 500, AllowEmpty = true)]
+    public string? Tags { get; set; }
+
+    [Range(1, 5)]
+    public int? DifficultyRating { get; set; }
 }
\ No newline at end of file
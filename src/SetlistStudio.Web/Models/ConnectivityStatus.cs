@@ -0,0 +1,35 @@
+namespace SetlistStudio.Web.Models;
+
+/// <summary>
+/// Connection state reported by setlistStudioApp.connectivity to its subscribers
+/// </summary>
+public class ConnectivityStatus
+{
+    /// <summary>
+    /// "online", "degraded" (slow or intermittent, or the circuit is reconnecting) or "offline"
+    /// </summary>
+    public string State { get; set; } = "online";
+
+    /// <summary>
+    /// navigator.onLine - true on captive-portal Wi-Fi even when the server can't be reached
+    /// </summary>
+    public bool BrowserOnline { get; set; } = true;
+
+    /// <summary>
+    /// Blazor circuit: "connected", "reconnecting" or "disconnected"
+    /// </summary>
+    public string Circuit { get; set; } = "connected";
+
+    /// <summary>
+    /// Consecutive failed health probes
+    /// </summary>
+    public int Failures { get; set; }
+
+    public int? LatencyMs { get; set; }
+
+    public DateTime? LastCheckedAt { get; set; }
+
+    public bool IsOffline => State == "offline";
+
+    public bool IsDegraded => State == "degraded";
+}
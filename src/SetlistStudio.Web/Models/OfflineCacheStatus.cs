@@ -0,0 +1,116 @@
+namespace SetlistStudio.Web.Models;
+
+/// <summary>
+/// Offline readiness report returned by setlistStudioApp.offline.getCacheStatus
+/// </summary>
+public class OfflineCacheStatus
+{
+    public DateTime? GeneratedAt { get; set; }
+
+    public string? Version { get; set; }
+
+    public OfflineStorageEstimate Storage { get; set; } = new();
+
+    /// <summary>
+    /// Entry count and bytes used, keyed by cache name
+    /// </summary>
+    public Dictionary<string, OfflineCacheUsage> Caches { get; set; } = new();
+
+    public List<OfflineCachedItem> Setlists { get; set; } = new();
+
+    public List<OfflineCachedItem> Songs { get; set; } = new();
+
+    public List<OfflinePinnedSetlist> PinnedSetlists { get; set; } = new();
+}
+
+/// <summary>
+/// Browser storage usage and quota for the app's origin
+/// </summary>
+public class OfflineStorageEstimate
+{
+    public long? Usage { get; set; }
+
+    public long? Quota { get; set; }
+
+    public long CachedBytes { get; set; }
+
+    public bool Persisted { get; set; }
+}
+
+/// <summary>
+/// Size of a single Cache Storage cache
+/// </summary>
+public class OfflineCacheUsage
+{
+    public int Entries { get; set; }
+
+    public long Bytes { get; set; }
+}
+
+/// <summary>
+/// A song or setlist held in the offline cache, with its freshness
+/// </summary>
+public class OfflineCachedItem
+{
+    public string Id { get; set; } = string.Empty;
+
+    public string? Name { get; set; }
+
+    public DateTime? LastSynced { get; set; }
+
+    public bool Stale { get; set; }
+
+    public bool Pinned { get; set; }
+}
+
+/// <summary>
+/// A setlist made available offline, and whether everything it needs is cached
+/// </summary>
+public class OfflinePinnedSetlist
+{
+    public string SetlistId { get; set; } = string.Empty;
+
+    public string? Name { get; set; }
+
+    public int SongsReady { get; set; }
+
+    public int SongsTotal { get; set; }
+
+    public bool Ready { get; set; }
+
+    public bool Complete { get; set; }
+
+    /// <summary>
+    /// True when the last refresh could not reach the server and kept the older copy
+    /// </summary>
+    public bool Stale { get; set; }
+
+    public DateTime? PinnedAt { get; set; }
+
+    public DateTime? RefreshedAt { get; set; }
+}
+
+/// <summary>
+/// Progress reported while a setlist is packaged for offline use (PIN_PROGRESS), or an item
+/// that could not be saved (PIN_ITEM_FAILED)
+/// </summary>
+public class OfflinePinProgress
+{
+    /// <summary>
+    /// "setlist", "songs" or "pages"
+    /// </summary>
+    public string? Stage { get; set; }
+
+    public int Completed { get; set; }
+
+    public int Total { get; set; }
+
+    /// <summary>
+    /// Ready-made summary such as "12/14 songs ready"
+    /// </summary>
+    public string? Label { get; set; }
+
+    public string? Url { get; set; }
+
+    public string? Reason { get; set; }
+}
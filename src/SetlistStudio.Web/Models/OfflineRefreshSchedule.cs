@@ -0,0 +1,35 @@
+namespace SetlistStudio.Web.Models;
+
+/// <summary>
+/// Background refresh schedule for pinned setlists, returned by setlistStudioApp.offline.getRefreshSchedule
+/// </summary>
+public class OfflineRefreshSchedule
+{
+    public bool Enabled { get; set; }
+
+    public int IntervalMinutes { get; set; }
+
+    /// <summary>
+    /// True when the browser runs the refresh itself via periodic background sync;
+    /// otherwise the app refreshes when it regains focus
+    /// </summary>
+    public bool PeriodicSync { get; set; }
+
+    public DateTime? LastAttemptAt { get; set; }
+
+    public DateTime? LastSuccessAt { get; set; }
+
+    public OfflineRefreshResult? LastResult { get; set; }
+}
+
+/// <summary>
+/// Outcome of the most recent pinned setlist refresh
+/// </summary>
+public class OfflineRefreshResult
+{
+    public string? Trigger { get; set; }
+
+    public int Refreshed { get; set; }
+
+    public int Total { get; set; }
+}
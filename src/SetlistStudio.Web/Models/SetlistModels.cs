@@ -17,9 +17,77 @@ public class SetlistResponse
     
     public DateTime CreatedDate { get; set; }
     
+    /// <summary>
+    /// Last modification time (the creation time until first edited).
+    /// The service worker uses it as the version when checking offline edits for conflicts.
+    /// </summary>
+    public DateTime UpdatedAt { get; set; }
+    
     public int SongCount { get; set; }
 }
 
+/// <summary>
+/// Response model for a single setlist with its songs in performance order
+/// </summary>
+public class SetlistDetailResponse : SetlistResponse
+{
+    public string? Venue { get; set; }
+    
+    public DateTime? PerformanceDate { get; set; }
+    
+    public string? PerformanceNotes { get; set; }
+    
+    public List<SetlistSongResponse> SetlistSongs { get; set; } = new();
+}
+
+/// <summary>
+/// Response model for a song's place in a setlist, including the performance overrides
+/// </summary>
+public class SetlistSongResponse
+{
+    public int Id { get; set; }
+    
+    public int SongId { get; set; }
+    
+    public int Position { get; set; }
+    
+    public string? CustomKey { get; set; }
+    
+    public int? CustomBpm { get; set; }
+    
+    public string? TransitionNotes { get; set; }
+    
+    public string? PerformanceNotes { get; set; }
+    
+    public bool IsEncore { get; set; }
+    
+    public bool IsOptional { get; set; }
+    
+    public SetlistSongDetails? Song { get; set; }
+}
+
+/// <summary>
+/// Song fields shown alongside a setlist entry
+/// </summary>
+public class SetlistSongDetails
+{
+    public int Id { get; set; }
+    
+    public string Title { get; set; } = string.Empty;
+    
+    public string Artist { get; set; } = string.Empty;
+    
+    public string? Genre { get; set; }
+    
+    public int? Bpm { get; set; }
+    
+    public string? MusicalKey { get; set; }
+    
+    public int? DurationSeconds { get; set; }
+    
+    public string? Notes { get; set; }
+}
+
 /// <summary>
 /// Request model for creating a new setlist
 /// </summary>
@@ -0,0 +1,42 @@
+using System.Globalization;
+using Microsoft.AspNetCore.Http;
+
+namespace SetlistStudio.Web.Utilities;
+
+/// <summary>
+/// Optimistic concurrency for edits replayed from the offline outbox. The service worker sends
+/// the version an edit was based on - the entity's last-modified time as the API reported it -
+/// in the X-Base-Version header, so a write that raced a bandmate's change is rejected
+/// </summary>
+public static class EntityVersionUtility
+{
+    /// <summary>
+    /// Request header carrying the version an update or delete was based on
+    /// </summary>
+    public const string BaseVersionHeader = "X-Base-Version";
+
+    /// <summary>
+    /// Current version of an entity: its last modification, or its creation if never edited
+    /// </summary>
+    public static DateTime GetVersion(DateTime createdAt, DateTime? updatedAt) => updatedAt ?? createdAt;
+
+    /// <summary>
+    /// Checks the request's base version against the entity's current version
+    /// </summary>
+    /// <param name="request">The incoming request</param>
+    /// <param name="currentVersion">The entity's current version</param>
+    /// <returns>True when the request names a base version the entity has since moved past.
+    /// Requests without a readable header (edits made online) are never stale</returns>
+    public static bool IsStale(HttpRequest request, DateTime currentVersion)
+    {
+        var header = request.Headers[BaseVersionHeader].FirstOrDefault();
+        if (string.IsNullOrWhiteSpace(header))
+            return false;
+
+        if (!DateTime.TryParse(header, CultureInfo.InvariantCulture, DateTimeStyles.RoundtripKind, out var baseVersion))
+            return false;
+
+        // The header echoes the serialized timestamp, so the ticks match exactly when unchanged
+        return baseVersion.Ticks != currentVersion.Ticks;
+    }
+}
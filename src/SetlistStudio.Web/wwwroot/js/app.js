@@ -5,29 +5,37 @@ globalThis.setlistStudioApp = {
     
     // Initialize app
     init: function() {
-        this.setupAccessibility();
+        this.shortcuts.setup();
+        this.connectivity.start();
         this.setupKeyboardNavigation();
         this.setupReducedMotion();
+        this.history.setupShortcuts();
+        this.stage.setup();
+        this.metronome.setup();
         console.log('Setlist Studio app initialized');
     },
     
-    // Accessibility helpers
-    setupAccessibility: function() {
-        // Announce route changes to screen readers
-        const observer = new MutationObserver((mutations) => {
-            for (const mutation of mutations) {
-                if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-                    const mainContent = document.querySelector('#main-content');
-                    if (mainContent?.contains(mutation.addedNodes[0])) {
-                        this.announcePageChange();
+    // Route changes - MainLayout calls this once Blazor has rendered the new page.
+    // Focus moves to the page heading so keyboard and screen reader users start at the
+    // top of the new content, and the title is read on the next frame, after HeadOutlet
+    // has applied the page's PageTitle.
+    onNavigated: function() {
+        requestAnimationFrame(() => {
+            // An open dialog keeps focus
+            if (!this.getActiveFocusTrap()) {
+                const mainContent = document.getElementById('main-content');
+                const heading = mainContent?.querySelector('h1, h2, h3, h4, h5, h6, [role="heading"]');
+                const target = heading || mainContent;
+                
+                if (target) {
+                    if (!target.hasAttribute('tabindex')) {
+                        target.setAttribute('tabindex', '-1');
                     }
+                    target.focus({ preventScroll: true });
                 }
             }
-        });
-        
-        observer.observe(document.body, { 
-            childList: true, 
-            subtree: true 
+            
+            this.announcePageChange();
         });
     },
     
@@ -38,53 +46,58 @@ globalThis.setlistStudioApp = {
         this.announceToScreenReader(announcement);
     },
     
-    // Create live region for screen reader announcements
-    announceToScreenReader: function(message) {
-        let liveRegion = document.getElementById('sr-live-region');
-        if (!liveRegion) {
-            liveRegion = document.createElement('div');
-            liveRegion.id = 'sr-live-region';
-            liveRegion.setAttribute('aria-live', 'polite');
-            liveRegion.setAttribute('aria-atomic', 'true');
-            liveRegion.style.position = 'absolute';
-            liveRegion.style.left = '-10000px';
-            liveRegion.style.width = '1px';
-            liveRegion.style.height = '1px';
-            liveRegion.style.overflow = 'hidden';
-            document.body.appendChild(liveRegion);
-        }
-        
-        liveRegion.textContent = message;
-        setTimeout(() => {
-            liveRegion.textContent = '';
-        }, 1000);
+    // Screen reader announcements - queued by setlistStudioApp.announcer so quick
+    // messages don't overwrite each other. priority is 'polite' (the default) or
+    // 'assertive' for urgent news such as a lost connection. Blazor calls this directly.
+    announceToScreenReader: function(message, priority = 'polite') {
+        this.announcer.announce(message, priority);
+    },
+    
+    // Call a [JSInvokable] method on a Blazor component. A disposed component's reference
+    // rejects - the failure is logged and handed to onFailed so the caller can forget it.
+    invokeDotNetCallback: function(dotNetRef, method, args = [], onFailed = null) {
+        return dotNetRef.invokeMethodAsync(method, ...args).catch(error => {
+            console.warn(`[App] Dropping ${method} callback:`, error.message);
+            onFailed?.(error);
+        });
     },
     
     // Enhanced keyboard navigation
     setupKeyboardNavigation: function() {
-        document.addEventListener('keydown', (e) => {
-            // Skip to main content (Alt + M)
-            if (e.altKey && e.key === 'm') {
-                e.preventDefault();
-                const mainContent = document.getElementById('main-content');
-                if (mainContent) {
-                    mainContent.focus();
-                    this.announceToScreenReader('Jumped to main content');
-                }
+        // Skip to main content
+        this.registerShortcut('Alt+M', () => {
+            const mainContent = document.getElementById('main-content');
+            if (mainContent) {
+                mainContent.focus();
+                this.announceToScreenReader('Jumped to main content');
             }
-            
-            // Skip to navigation (Alt + N)
-            if (e.altKey && e.key === 'n') {
-                e.preventDefault();
-                const nav = document.querySelector('nav[role="navigation"]');
-                if (nav) {
-                    nav.focus();
-                    this.announceToScreenReader('Jumped to navigation');
-                }
+        }, { id: 'skip-to-main', description: 'Jump to main content' });
+        
+        // Skip to navigation
+        this.registerShortcut('Alt+N', () => {
+            const nav = document.querySelector('nav[role="navigation"]');
+            if (nav) {
+                nav.focus();
+                this.announceToScreenReader('Jumped to navigation');
             }
+        }, { id: 'skip-to-navigation', description: 'Jump to navigation' });
+        
+        this.registerShortcut('?', () => this.shortcuts.showHelp(), {
+            id: 'shortcut-help',
+            description: 'Show keyboard shortcuts'
         });
     },
     
+    // Keyboard shortcuts - see setlistStudioApp.shortcuts. handler is a JS function or a
+    // DotNetObjectReference whose OnShortcut(id) method is invoked; returns the shortcut id
+    registerShortcut: function(combo, handler, options = {}) {
+        return this.shortcuts.register(combo, handler, options);
+    },
+    
+    unregisterShortcut: function(id) {
+        this.shortcuts.unregister(id);
+    },
+    
     // Respect user's reduced motion preference
     setupReducedMotion: function() {
         const reducedMotion = globalThis.matchMedia('(prefers-reduced-motion: reduce)');
@@ -112,253 +125,3168 @@ globalThis.setlistStudioApp = {
         return false;
     },
     
-    // Trap focus within modal dialogs
-    trapFocus: function(element) {
-        const focusableElements = element.querySelectorAll(
-            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-        );
+    // Focus traps for dialogs, kept as a stack so a dialog opened from another dialog
+    // traps focus until it closes and then hands focus back. The focusable elements are
+    // looked up on every Tab, so content that changes while the dialog is open stays reachable.
+    // Returns a handle whose release() removes the trap and returns focus to the element
+    // that opened the dialog - Blazor keeps it as an IJSObjectReference and calls release
+    // on dispose. options.onEscape is a JS function or a DotNetObjectReference whose
+    // OnEscape method is invoked; without it Escape closes the dialog via closeModal.
+    focusTraps: [],
+    focusableSelector: 'a[href], area[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), iframe, [contenteditable="true"], [tabindex]:not([tabindex="-1"])',
+    
+    trapFocus: function(element, options = {}) {
+        if (typeof element === 'string') {
+            element = document.querySelector(element);
+        }
+        if (!element) return null;
+        
+        if (this.focusTraps.length === 0) {
+            this.setupFocusTrapListeners();
+        }
         
-        if (focusableElements.length === 0) return;
+        const trap = {
+            element,
+            onEscape: options.onEscape || null,
+            previousFocus: document.activeElement,
+            observer: new MutationObserver(() => {
+                // Blazor re-rendered and removed the focused element - keep focus inside
+                if (trap === this.getActiveFocusTrap() && !element.contains(document.activeElement)) {
+                    this.focusFirstElement(trap);
+                }
+            })
+        };
+        trap.observer.observe(element, { childList: true, subtree: true });
+        this.focusTraps.push(trap);
         
-        const firstElement = focusableElements[0];
-        const lastElement = focusableElements.at(-1);
+        const initialFocus = options.initialFocus && element.querySelector(options.initialFocus);
+        if (initialFocus) {
+            initialFocus.focus();
+        } else if (!element.contains(document.activeElement)) {
+            this.focusFirstElement(trap);
+        }
         
-        element.addEventListener('keydown', (e) => {
+        return {
+            release: () => this.releaseFocusTrap(trap)
+        };
+    },
+    
+    releaseFocusTrap: function(trap) {
+        const index = this.focusTraps.indexOf(trap);
+        if (index === -1) return;
+        
+        trap.observer.disconnect();
+        this.focusTraps.splice(index, 1);
+        
+        // Only the topmost dialog hands focus back - one underneath closing leaves it alone
+        if (index === this.focusTraps.length) {
+            const restoreTo = trap.previousFocus?.isConnected ? trap.previousFocus : null;
+            const below = this.getActiveFocusTrap();
+            
+            if (restoreTo && (!below || below.element.contains(restoreTo))) {
+                restoreTo.focus();
+            } else if (below) {
+                this.focusFirstElement(below);
+            }
+        }
+    },
+    
+    // Topmost trap whose dialog is still in the document - Blazor may remove a dialog
+    // without releasing its trap
+    getActiveFocusTrap: function() {
+        while (this.focusTraps.length > 0 && !this.focusTraps.at(-1).element.isConnected) {
+            this.focusTraps.pop().observer.disconnect();
+        }
+        return this.focusTraps.at(-1) || null;
+    },
+    
+    getFocusableElements: function(container) {
+        return [...container.querySelectorAll(this.focusableSelector)].filter(element =>
+            !element.closest('[inert], [hidden], [aria-hidden="true"]') && element.getClientRects().length > 0);
+    },
+    
+    focusFirstElement: function(trap) {
+        const [first] = this.getFocusableElements(trap.element);
+        if (first) {
+            first.focus();
+        } else {
+            // Nothing focusable yet - focus the dialog itself so focus doesn't escape
+            if (!trap.element.hasAttribute('tabindex')) {
+                trap.element.setAttribute('tabindex', '-1');
+            }
+            trap.element.focus();
+        }
+    },
+    
+    setupFocusTrapListeners: function() {
+        if (this.focusTrapListenersReady) return;
+        this.focusTrapListenersReady = true;
+        
+        document.addEventListener('keydown', (e) => {
+            const trap = this.getActiveFocusTrap();
+            if (!trap) return;
+            
             if (e.key === 'Tab') {
-                if (e.shiftKey) {
-                    if (document.activeElement === firstElement) {
-                        e.preventDefault();
-                        lastElement.focus();
-                    }
-                } else if (document.activeElement === lastElement) {
+                const focusable = this.getFocusableElements(trap.element);
+                if (focusable.length === 0) {
                     e.preventDefault();
-                    firstElement.focus();
+                    return;
+                }
+                
+                const first = focusable[0];
+                const last = focusable.at(-1);
+                const inside = trap.element.contains(document.activeElement);
+                
+                if (e.shiftKey && (!inside || document.activeElement === first || document.activeElement === trap.element)) {
+                    e.preventDefault();
+                    last.focus();
+                } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+                    e.preventDefault();
+                    first.focus();
+                }
+            } else if (e.key === 'Escape' && !e.defaultPrevented) {
+                e.preventDefault();
+                if (typeof trap.onEscape === 'function') {
+                    trap.onEscape();
+                } else if (trap.onEscape?.invokeMethodAsync) {
+                    trap.onEscape.invokeMethodAsync('OnEscape');
+                } else {
+                    this.closeModal(trap.element);
                 }
-            }
-            
-            if (e.key === 'Escape') {
-                this.closeModal();
             }
         });
         
-        firstElement.focus();
+        // Focus moved outside the topmost dialog (a click on the page behind, a script) - bring it back
+        document.addEventListener('focusin', (e) => {
+            const trap = this.getActiveFocusTrap();
+            if (trap && !trap.element.contains(e.target)) {
+                this.focusFirstElement(trap);
+            }
+        });
     },
     
-    // Modal helpers
-    closeModal: function() {
-        const modal = document.querySelector('.mud-dialog');
-        if (modal) {
-            const closeButton = modal.querySelector('[aria-label*="close"], [aria-label*="Close"]');
-            if (closeButton) {
-                closeButton.click();
-            }
+    // Modal helpers - closes the given dialog, or the topmost open one
+    closeModal: function(dialog = null) {
+        const modal = dialog?.closest('.mud-dialog') || dialog
+            || this.getActiveFocusTrap()?.element
+            || [...document.querySelectorAll('.mud-dialog')].at(-1);
+        if (!modal) return false;
+        
+        const closeButton = modal.querySelector('.mud-dialog-title [aria-label*="close" i], [aria-label*="close" i]');
+        if (closeButton) {
+            closeButton.click();
+            return true;
         }
+        return false;
     },
     
-    // Drag and drop helpers with accessibility
-    setupDragAndDrop: function(containerId, onReorder) {
+    // Drag and drop helpers with accessibility.
+    // Items are the container's children; pointer users drag them, keyboard users press
+    // Space to pick one up, the arrow keys to move it, Space to drop and Escape to cancel.
+    //
+    // Containers set up with the same options.group exchange items: options.accepts: false
+    // makes a container a source only, and options.copy: true copies items out (a song
+    // library) instead of moving them. Left / Right arrows move a picked-up item between
+    // the group's containers.
+    //
+    // onReorder receives { operation, source, target, fromIndex, toIndex, index, itemId, songId }
+    // where operation is 'reorder', 'move' or 'copy' - a JS function, or a DotNetObjectReference
+    // whose OnReorder method is invoked. Drops into another container notify the target's callback.
+    // Every change is recorded in setlistStudioApp.history, so Ctrl+Z replays its inverse
+    // ('remove' and 'insert' for copies and swipe removals) through the same callback.
+    dropZones: new Map(),
+    keyboardDrag: null,
+    
+    setupDragAndDrop: function(containerId, onReorder, options = {}) {
         const container = document.getElementById(containerId);
         if (!container) return;
         
-        let draggedElement = null;
-        
-        container.addEventListener('dragstart', (e) => {
-            draggedElement = e.target;
-            e.target.style.opacity = '0.5';
+        // Blazor may set the same container up again after a render - just refresh its options
+        const existing = this.dropZones.get(containerId);
+        const zone = existing?.container === container ? existing : { id: containerId, container };
+        Object.assign(zone, {
+            label: options.label || container.getAttribute('aria-label') || containerId,
+            itemLabel: options.itemLabel || 'Song',
+            group: options.group || null,
+            accepts: options.accepts !== false,
+            copy: options.copy === true,
+            swipeToRemove: options.swipeToRemove === true,
+            onReorder
         });
+        this.dropZones.set(containerId, zone);
         
-        container.addEventListener('dragend', (e) => {
-            e.target.style.opacity = '';
-            draggedElement = null;
-        });
+        if (zone === existing) return;
         
-        container.addEventListener('dragover', (e) => {
-            e.preventDefault();
-        });
+        // Keyboard users need each item to be focusable and to know how to move it
+        const instructionsId = `${containerId}-reorder-instructions`;
+        const instructions = document.getElementById(instructionsId) || document.createElement('div');
+        instructions.id = instructionsId;
+        instructions.className = 'sr-only';
+        instructions.textContent = zone.group
+            ? `Press Space to pick up a ${zone.itemLabel.toLowerCase()}, use the up and down arrows to move it, left and right arrows to move it to another list, Space to drop it, or Escape to cancel.`
+            : `Press Space to pick up a ${zone.itemLabel.toLowerCase()}, use the arrow keys to move it, Space to drop it, or Escape to cancel.`;
+        container.after(instructions);
         
-        container.addEventListener('drop', (e) => {
-            e.preventDefault();
-            
-            if (draggedElement && e.target !== draggedElement) {
-                const items = Array.from(container.children);
-                const draggedIndex = items.indexOf(draggedElement);
-                const targetIndex = items.indexOf(e.target);
-                
-                if (draggedIndex < targetIndex) {
-                    e.target.parentNode.insertBefore(draggedElement, e.target.nextSibling);
-                } else {
-                    e.target.parentNode.insertBefore(draggedElement, e.target);
-                }
-                
-                if (onReorder) {
-                    onReorder();
+        const prepareItems = () => {
+            for (const item of this.getZoneItems(zone)) {
+                if (!item.hasAttribute('tabindex')) {
+                    item.setAttribute('tabindex', '0');
                 }
-                
-                this.announceToScreenReader('Items reordered');
+                item.setAttribute('aria-describedby', instructionsId);
+                // Touch behaviour has to be settled before the press starts (see .reorder-item)
+                item.classList.add('reorder-item');
             }
-        });
-    }
-};
-
-// Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', function() {
-    globalThis.setlistStudioApp.init();
-});
-
-// Blazor reconnection helpers
-
-// Service Worker registration for offline performance support
-(async function() {
-    if ('serviceWorker' in navigator) {
-        try {
-            const registration = await navigator.serviceWorker.register('/service-worker.js');
-            console.log('[App] Service Worker registered - offline performance mode enabled');
+        };
+        
+        prepareItems();
+        new MutationObserver(prepareItems).observe(container, { childList: true });
+        
+        container.addEventListener('keydown', (e) => this.handleReorderKey(zone, e));
+        
+        // Tabbing or clicking away drops the grab - checked once the event settles, because
+        // moving the item with the arrow keys briefly takes focus off it too
+        container.addEventListener('focusout', (e) => {
+            if (e.target !== this.keyboardDrag?.item) return;
             
-            // Listen for updates to the service worker
-            registration.addEventListener('updatefound', () => {
-                console.log('[App] New Service Worker version available');
-                const newWorker = registration.installing;
-                
-                if (newWorker) {
-                    newWorker.addEventListener('statechange', () => {
-                        if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
-                            console.log('[App] New Service Worker installed - refresh recommended');
-                            // Could show a notification to refresh the app
-                        }
-                    });
+            setTimeout(() => {
+                const drag = this.keyboardDrag;
+                if (drag?.item === e.target && document.activeElement !== drag.item) {
+                    this.cancelKeyboardDrag();
                 }
-            });
-        } catch (error) {
-            console.error('[App] Service Worker registration failed:', error);
-        }
-    }
-})();
-
-// Listen for service worker messages
-if ('serviceWorker' in navigator) {
-    navigator.serviceWorker.addEventListener('message', event => {
-        const { type, payload } = event.data;
+            }, 0);
+        });
         
-        switch (type) {
-            case 'CACHE_STATUS':
-                console.log('[App] Cache status:', payload);
-                break;
-                
-            case 'OFFLINE_READY':
-                console.log('[App] Offline capabilities ready');
-                globalThis.setlistStudioApp.showOfflineReady?.();
-                break;
-                
-            default:
-                console.log('[App] Unknown service worker message:', type);
+        // Mouse, touch and pen all use the Pointer Events engine - HTML5 drag events never fire on iOS or Android
+        container.addEventListener('dragstart', (e) => e.preventDefault());
+        this.setupPointerDrag(zone);
+        
+        // Swipe events come from mobileEnhancements on items marked .swipe-container
+        container.addEventListener('swipe', (e) => {
+            const item = this.getZoneItems(zone).find(candidate => candidate.contains(e.target));
+            if (zone.swipeToRemove && item && e.detail.direction === 'left') {
+                this.removeFromDropZone(zone, item);
+            }
+        });
+    },
+    
+    getZoneItems: function(zone) {
+        return Array.from(zone.container.children);
+    },
+    
+    // The zone and every other connected zone in its group, in registration order
+    getGroupZones: function(zone) {
+        const zones = [...this.dropZones.values()].filter(candidate => candidate.container.isConnected);
+        return zone.group ? zones.filter(candidate => candidate.group === zone.group) : [zone];
+    },
+    
+    // Moves the item to index among the zone's other items
+    moveReorderItem: function(zone, item, index) {
+        const others = this.getZoneItems(zone).filter(other => other !== item);
+        zone.container.insertBefore(item, others[index] || others.at(-1)?.nextSibling || null);
+    },
+    
+    describeReorderItem: function(zone, fromIndex, count) {
+        return `${zone.itemLabel} ${fromIndex + 1} of ${count}`;
+    },
+    
+    // Applies a finished drop to the DOM, tells the target's callback and announces it
+    completeDrop: function(source, target, item, fromIndex, toIndex, count) {
+        const position = this.describeReorderItem(source, fromIndex, count);
+        const operation = source === target ? 'reorder' : (source.copy ? 'copy' : 'move');
+        
+        if (operation === 'reorder' && fromIndex === toIndex) {
+            this.moveReorderItem(source, item, fromIndex);
+            this.announceToScreenReader(`${position}, dropped in its original position.`);
+            return;
         }
-    });
-}
-
-// Offline functionality for performance scenarios
-globalThis.setlistStudioApp.offline = {
-    // Cache specific setlist for offline access
-    cacheSetlist: function(setlistId) {
-        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
-            navigator.serviceWorker.controller.postMessage({
-                type: 'CACHE_SETLIST',
-                payload: { setlistId }
-            });
-            console.log('[App] Requested offline caching for setlist:', setlistId);
+        
+        // Copies leave the original where it was - the callback renders the new row
+        if (operation === 'copy') {
+            this.moveReorderItem(source, item, fromIndex);
+        } else {
+            this.moveReorderItem(target, item, toIndex);
         }
+        
+        const itemId = item.dataset.itemId || item.id || null;
+        const detail = {
+            operation,
+            source: source.id,
+            target: target.id,
+            fromIndex,
+            toIndex,
+            index: toIndex,
+            itemId,
+            songId: item.dataset.songId || itemId
+        };
+        
+        this.notifyDropZone(target, detail);
+        
+        const description = operation === 'reorder'
+            ? `${position}, moved to position ${toIndex + 1}`
+            : `${position}, ${operation === 'copy' ? 'copied' : 'moved'} to ${target.label}, position ${toIndex + 1}`;
+        this.announceToScreenReader(description);
+        this.history.record(detail, description);
     },
     
-    // Cache multiple songs for offline access  
-    cacheSongs: function(songs) {
-        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
-            navigator.serviceWorker.controller.postMessage({
-                type: 'CACHE_SONGS', 
-                payload: { songs }
-            });
-            console.log('[App] Requested offline caching for songs:', songs.length);
+    notifyDropZone: function(zone, detail) {
+        if (typeof zone.onReorder === 'function') {
+            zone.onReorder(detail);
+        } else if (zone.onReorder?.invokeMethodAsync) {
+            zone.onReorder.invokeMethodAsync('OnReorder', detail);
         }
     },
     
-    // Get current cache status
-    getCacheStatus: function() {
-        return new Promise((resolve) => {
-            if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
-                const messageChannel = new MessageChannel();
-                
-                messageChannel.port1.onmessage = (event) => {
-                    if (event.data.type === 'CACHE_STATUS') {
-                        resolve(event.data.payload);
-                    }
-                };
-                
-                navigator.serviceWorker.controller.postMessage(
-                    { type: 'GET_CACHE_STATUS' },
-                    [messageChannel.port2]
-                );
-            } else {
-                resolve({});
-            }
-        });
+    // Swiping an item left removes it (options.swipeToRemove) - the callback updates the
+    // list and the removal can be undone
+    removeFromDropZone: function(zone, item) {
+        const items = this.getZoneItems(zone);
+        const index = items.indexOf(item);
+        const itemId = item.dataset.itemId || item.id || null;
+        const detail = {
+            operation: 'remove',
+            source: zone.id,
+            target: zone.id,
+            fromIndex: index,
+            toIndex: null,
+            index,
+            itemId,
+            songId: item.dataset.songId || itemId
+        };
+        
+        this.notifyDropZone(zone, detail);
+        
+        const description = `${this.describeReorderItem(zone, index, items.length)}, removed from ${zone.label}`;
+        this.announceToScreenReader(description);
+        this.history.record(detail, description);
     },
     
-    // Clear API cache (for troubleshooting)
-    clearCache: function() {
-        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
-            navigator.serviceWorker.controller.postMessage({ type: 'CLEAR_CACHE' });
-            console.log('[App] Cache clear requested');
+    // Puts a keyboard-grabbed item back where it was picked up. Blazor may also have
+    // re-rendered or removed it, in which case there is nothing left to move.
+    cancelKeyboardDrag: function() {
+        const drag = this.keyboardDrag;
+        if (!drag) return;
+        
+        this.keyboardDrag = null;
+        drag.item.classList.remove('reorder-item-grabbed');
+        drag.item.removeAttribute('aria-grabbed');
+        
+        const position = this.describeReorderItem(drag.source, drag.fromIndex, drag.count);
+        if (drag.item.isConnected && drag.source.container.isConnected) {
+            this.moveReorderItem(drag.source, drag.item, drag.fromIndex);
+            this.announceToScreenReader(`Reorder cancelled. ${position} returned to position ${drag.fromIndex + 1}.`);
+        } else {
+            this.announceToScreenReader(`Reorder cancelled. ${position} is no longer in the list.`);
         }
     },
     
-    // Check if app is currently offline
-    isOffline: function() {
-        try {
-            return !navigator.onLine;
-        } catch (error) {
-            console.warn('[App] Connection status check failed:', error.message);
-            return false; // Assume online if check fails
+    handleReorderKey: function(zone, e) {
+        // Only the item itself - Space inside its buttons and inputs keeps working
+        const items = this.getZoneItems(zone);
+        const item = items.find(candidate => candidate === e.target);
+        if (!item) return;
+        
+        // A grabbed item that Blazor re-rendered away would otherwise block every later key
+        if (this.keyboardDrag && !this.keyboardDrag.item.isConnected) {
+            this.cancelKeyboardDrag();
+        }
+        
+        const currentIndex = items.indexOf(item);
+        const drag = this.keyboardDrag;
+        
+        if (!drag) {
+            if (e.key === ' ') {
+                e.preventDefault();
+                this.keyboardDrag = { item, source: zone, fromIndex: currentIndex, count: items.length };
+                item.classList.add('reorder-item-grabbed');
+                item.setAttribute('aria-grabbed', 'true');
+                this.announceToScreenReader(`${this.describeReorderItem(zone, currentIndex, items.length)}, picked up. Use the arrow keys to move, Space to drop, Escape to cancel.`);
+            }
+            return;
+        }
+        
+        if (drag.item !== item) return;
+        
+        const { source, fromIndex, count } = drag;
+        const position = this.describeReorderItem(source, fromIndex, count);
+        const groupZones = this.getGroupZones(zone).filter(candidate => candidate.accepts || candidate === source);
+        const finish = (announcement) => {
+            item.classList.remove('reorder-item-grabbed');
+            item.removeAttribute('aria-grabbed');
+            item.focus();
+            this.keyboardDrag = null;
+            if (announcement) {
+                this.announceToScreenReader(announcement);
+            }
+        };
+        
+        let key = e.key;
+        if (groupZones.length < 2 && (key === 'ArrowLeft' || key === 'ArrowRight')) {
+            key = key === 'ArrowLeft' ? 'ArrowUp' : 'ArrowDown';
+        }
+        
+        let toIndex = null;
+        
+        switch (key) {
+            case 'ArrowUp':
+                toIndex = Math.max(0, currentIndex - 1);
+                break;
+            case 'ArrowDown':
+                toIndex = Math.min(items.length - 1, currentIndex + 1);
+                break;
+            case 'Home':
+                toIndex = 0;
+                break;
+            case 'End':
+                toIndex = items.length - 1;
+                break;
+            
+            case 'ArrowLeft':
+            case 'ArrowRight': {
+                e.preventDefault();
+                const step = key === 'ArrowLeft' ? -1 : 1;
+                const targetZone = groupZones[groupZones.indexOf(zone) + step];
+                if (!targetZone) return;
+                
+                // Back in a copy-only source, the item returns to where it came from
+                const index = targetZone === source && !source.accepts
+                    ? fromIndex
+                    : Math.min(currentIndex, this.getZoneItems(targetZone).length);
+                this.moveReorderItem(targetZone, item, index);
+                item.focus();
+                this.announceToScreenReader(`${position}, moved to ${targetZone.label}, position ${index + 1}`);
+                return;
+            }
+            
+            case ' ':
+            case 'Enter':
+                e.preventDefault();
+                finish(null);
+                this.completeDrop(source, zone, item, fromIndex, zone === source && !source.accepts ? fromIndex : currentIndex, count);
+                return;
+            
+            case 'Escape':
+                e.preventDefault();
+                this.moveReorderItem(source, item, fromIndex);
+                finish(`Reorder cancelled. ${position} returned to position ${fromIndex + 1}.`);
+                return;
+            
+            default:
+                return;
+        }
+        
+        e.preventDefault();
+        
+        // Items can't be rearranged inside a copy-only source such as the song library
+        if (zone === source && !source.accepts) return;
+        
+        if (toIndex !== currentIndex) {
+            this.moveReorderItem(zone, item, toIndex);
+            item.focus();
         }
+        this.announceToScreenReader(zone === source
+            ? `${position}, moved to position ${toIndex + 1}`
+            : `${position}, moved to ${zone.label}, position ${toIndex + 1}`);
     },
     
-    // Show offline notification to users
-    showOfflineReady: function() {
-        // This will be called when offline capabilities are ready
-        // Can be hooked up to MudBlazor notifications later
-        console.log('[App] Offline mode ready for performance use');
-    }
-};
-
-// Connection status callbacks for Blazor components
-globalThis.setlistStudioApp.connectionStatusCallback = null;
-
-globalThis.setlistStudioApp.registerConnectionStatusCallback = function(dotNetRef) {
-    globalThis.setlistStudioApp.connectionStatusCallback = dotNetRef;
-    console.log('[App] Connection status callback registered');
-};
-
-globalThis.setlistStudioApp.unregisterConnectionStatusCallback = function() {
-    globalThis.setlistStudioApp.connectionStatusCallback = null;
-    console.log('[App] Connection status callback unregistered');
-};
-
-// Connection status monitoring for live performance scenarios
-globalThis.addEventListener('online', () => {
-    console.log('[App] Connection restored - sync mode enabled');
-    document.body.classList.remove('offline-mode');
-    document.body.classList.add('online-mode');
-    
-    // Notify Blazor component
-    if (globalThis.setlistStudioApp.connectionStatusCallback) {
-        globalThis.setlistStudioApp.connectionStatusCallback.invokeMethodAsync('OnConnectionStatusChanged', true);
-    }
-});
-
-globalThis.addEventListener('offline', () => {
-    console.log('[App] Offline detected - performance mode activated');
-    document.body.classList.remove('online-mode'); 
-    document.body.classList.add('offline-mode');
-    
-    // Notify Blazor component
-    if (globalThis.setlistStudioApp.connectionStatusCallback) {
-        globalThis.setlistStudioApp.connectionStatusCallback.invokeMethodAsync('OnConnectionStatusChanged', false);
-    }
-});
\ No newline at end of file
+    // Pointer Events drag engine shared by mouse, touch and pen. Mouse drags start after a
+    // small movement; touch and pen need a long press. Items are touch-action: none so the
+    // browser can't scroll or show its callout during the press - a touch that moves before
+    // the long press completes scrolls the list here instead.
+    // The item stays in place under a floating ghost until it is dropped, here or in
+    // another container of the same group.
+    setupPointerDrag: function(zone) {
+        const LONG_PRESS_MS = 400;
+        const MOUSE_DRAG_THRESHOLD_PX = 5;
+        const TOUCH_SLOP_PX = 10;
+        const AUTO_SCROLL_EDGE_PX = 48;
+        const AUTO_SCROLL_MAX_SPEED_PX = 16;
+        
+        const container = zone.container;
+        let pending = null;
+        let drag = null;
+        let pan = null;
+        
+        const haptic = (intensity) => globalThis.mobileEnhancements?.triggerHapticFeedback(intensity);
+        
+        const getScrollParent = () => {
+            for (let element = container; element && element !== document.body; element = element.parentElement) {
+                const { overflowY } = getComputedStyle(element);
+                if (/(auto|scroll)/.test(overflowY) && element.scrollHeight > element.clientHeight) {
+                    return element;
+                }
+            }
+            return document.scrollingElement || document.documentElement;
+        };
+        
+        // The zone under the pointer that would take the item, if any
+        const findTargetZone = (clientX, clientY) => {
+            return this.getGroupZones(zone).find(candidate => {
+                if (!candidate.accepts) return false;
+                const rect = candidate.container.getBoundingClientRect();
+                return clientX >= rect.left && clientX <= rect.right && clientY >= rect.top && clientY <= rect.bottom;
+            }) || null;
+        };
+        
+        // Index the dragged item would take among the target's other items
+        const findTargetIndex = (targetZone, clientY) => {
+            const others = this.getZoneItems(targetZone).filter(item => item !== drag.item);
+            const index = others.findIndex(item => {
+                const rect = item.getBoundingClientRect();
+                return clientY < rect.top + rect.height / 2;
+            });
+            return { others, index: index === -1 ? others.length : index };
+        };
+        
+        const updateTarget = () => {
+            const targetZone = findTargetZone(drag.lastX, drag.lastY);
+            
+            if (targetZone !== drag.targetZone) {
+                drag.targetZone?.container.classList.remove('reorder-drop-target');
+                targetZone?.container.classList.add('reorder-drop-target');
+            }
+            
+            if (!targetZone) {
+                drag.indicator.hidden = true;
+                drag.targetZone = null;
+                drag.targetIndex = null;
+                return;
+            }
+            
+            const { others, index } = findTargetIndex(targetZone, drag.lastY);
+            const containerRect = targetZone.container.getBoundingClientRect();
+            const reference = others[index];
+            const edge = reference
+                ? reference.getBoundingClientRect().top
+                : (others.at(-1)?.getBoundingClientRect().bottom ?? containerRect.top);
+            
+            drag.indicator.hidden = false;
+            drag.indicator.style.top = `${edge - 1}px`;
+            drag.indicator.style.left = `${containerRect.left}px`;
+            drag.indicator.style.width = `${containerRect.width}px`;
+            
+            if (targetZone !== drag.targetZone || index !== drag.targetIndex) {
+                drag.targetZone = targetZone;
+                drag.targetIndex = index;
+                haptic('light');
+            }
+        };
+        
+        const autoScroll = () => {
+            if (!drag) return;
+            
+            const scrollParent = drag.scrollParent;
+            const bounds = scrollParent === document.scrollingElement || scrollParent === document.documentElement
+                ? { top: 0, bottom: globalThis.innerHeight }
+                : scrollParent.getBoundingClientRect();
+            const distanceTop = drag.lastY - bounds.top;
+            const distanceBottom = bounds.bottom - drag.lastY;
+            let delta = 0;
+            
+            if (distanceTop < AUTO_SCROLL_EDGE_PX) {
+                delta = -Math.ceil(AUTO_SCROLL_MAX_SPEED_PX * (1 - Math.max(distanceTop, 0) / AUTO_SCROLL_EDGE_PX));
+            } else if (distanceBottom < AUTO_SCROLL_EDGE_PX) {
+                delta = Math.ceil(AUTO_SCROLL_MAX_SPEED_PX * (1 - Math.max(distanceBottom, 0) / AUTO_SCROLL_EDGE_PX));
+            }
+            
+            if (delta !== 0) {
+                scrollParent.scrollTop += delta;
+                updateTarget();
+            }
+            
+            drag.scrollFrame = requestAnimationFrame(autoScroll);
+        };
+        
+        const clearPending = () => {
+            if (pending) {
+                clearTimeout(pending.timer);
+                pending = null;
+            }
+        };
+        
+        const startDrag = (item, pointerId, clientX, clientY) => {
+            const rect = item.getBoundingClientRect();
+            const items = this.getZoneItems(zone);
+            
+            const ghost = item.cloneNode(true);
+            ghost.removeAttribute('id');
+            for (const element of ghost.querySelectorAll('[id]')) {
+                element.removeAttribute('id');
+            }
+            ghost.classList.add('reorder-ghost');
+            ghost.setAttribute('aria-hidden', 'true');
+            ghost.style.width = `${rect.width}px`;
+            ghost.style.left = `${rect.left}px`;
+            ghost.style.top = `${rect.top}px`;
+            
+            const indicator = document.createElement('div');
+            indicator.className = 'reorder-drop-indicator';
+            indicator.setAttribute('aria-hidden', 'true');
+            
+            document.body.append(ghost, indicator);
+            item.classList.add('reorder-item-placeholder');
+            container.classList.add('reorder-active');
+            
+            try {
+                item.setPointerCapture(pointerId);
+            } catch {
+                // The pointer was already released - pointerup will end the drag
+            }
+            
+            document.addEventListener('keydown', cancelOnEscape);
+            
+            drag = {
+                item,
+                pointerId,
+                fromIndex: items.indexOf(item),
+                count: items.length,
+                ghost,
+                indicator,
+                offsetX: clientX - rect.left,
+                offsetY: clientY - rect.top,
+                lastX: clientX,
+                lastY: clientY,
+                targetZone: null,
+                targetIndex: null,
+                scrollParent: getScrollParent(),
+                scrollFrame: null
+            };
+            
+            updateTarget();
+            drag.scrollFrame = requestAnimationFrame(autoScroll);
+            haptic('medium');
+            this.announceToScreenReader(`${this.describeReorderItem(zone, drag.fromIndex, drag.count)}, picked up`);
+        };
+        
+        // Listens only while a drag is in progress, so containers Blazor replaces leave nothing behind
+        const cancelOnEscape = (e) => {
+            if (drag && e.key === 'Escape') {
+                e.preventDefault();
+                endDrag(false);
+            }
+        };
+        
+        const endDrag = (dropped) => {
+            const { item, fromIndex, count, targetZone, targetIndex, ghost, indicator, scrollFrame, pointerId } = drag;
+            drag = null;
+            document.removeEventListener('keydown', cancelOnEscape);
+            
+            cancelAnimationFrame(scrollFrame);
+            ghost.remove();
+            indicator.remove();
+            item.classList.remove('reorder-item-placeholder');
+            container.classList.remove('reorder-active');
+            targetZone?.container.classList.remove('reorder-drop-target');
+            
+            if (item.hasPointerCapture?.(pointerId)) {
+                item.releasePointerCapture(pointerId);
+            }
+            
+            // A mouse drag ends with a click on the item - don't let it activate anything
+            const swallowClick = (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+            };
+            container.addEventListener('click', swallowClick, { capture: true, once: true });
+            setTimeout(() => container.removeEventListener('click', swallowClick, { capture: true }), 0);
+            
+            if (!dropped || !targetZone) {
+                this.announceToScreenReader(`Reorder cancelled. ${this.describeReorderItem(zone, fromIndex, count)} returned to position ${fromIndex + 1}.`);
+            } else if (targetZone !== zone || targetIndex !== fromIndex) {
+                haptic('success');
+                this.completeDrop(zone, targetZone, item, fromIndex, targetIndex, count);
+            }
+        };
+        
+        container.addEventListener('pointerdown', (e) => {
+            if (drag || pending || (e.pointerType === 'mouse' && e.button !== 0)) return;
+            
+            const item = this.getZoneItems(zone).find(candidate => candidate.contains(e.target));
+            if (!item) return;
+            
+            // Leave form fields and buttons inside an item alone
+            const control = e.target.closest('input, textarea, select, button, a, [contenteditable="true"]');
+            if (control && control !== item && item.contains(control)) return;
+            
+            pending = { item, pointerId: e.pointerId, pointerType: e.pointerType, startX: e.clientX, startY: e.clientY, timer: null };
+            
+            if (e.pointerType !== 'mouse') {
+                pending.timer = setTimeout(() => {
+                    const { item: pressedItem, pointerId, startX, startY } = pending;
+                    pending = null;
+                    startDrag(pressedItem, pointerId, startX, startY);
+                }, LONG_PRESS_MS);
+            }
+        });
+        
+        container.addEventListener('pointermove', (e) => {
+            if (pending?.pointerId === e.pointerId) {
+                const distance = Math.hypot(e.clientX - pending.startX, e.clientY - pending.startY);
+                
+                if (pending.pointerType === 'mouse' && distance > MOUSE_DRAG_THRESHOLD_PX) {
+                    const { item } = pending;
+                    clearPending();
+                    startDrag(item, e.pointerId, e.clientX, e.clientY);
+                } else if (pending.pointerType !== 'mouse' && distance > TOUCH_SLOP_PX) {
+                    // Moved before the long press completed - the user is scrolling
+                    pan = { pointerId: e.pointerId, lastY: e.clientY, scrollParent: getScrollParent() };
+                    clearPending();
+                }
+            }
+            
+            if (pan?.pointerId === e.pointerId) {
+                pan.scrollParent.scrollTop -= e.clientY - pan.lastY;
+                pan.lastY = e.clientY;
+            }
+            
+            if (drag?.pointerId === e.pointerId) {
+                e.preventDefault();
+                drag.lastX = e.clientX;
+                drag.lastY = e.clientY;
+                drag.ghost.style.left = `${e.clientX - drag.offsetX}px`;
+                drag.ghost.style.top = `${e.clientY - drag.offsetY}px`;
+                updateTarget();
+            }
+        });
+        
+        container.addEventListener('pointerup', (e) => {
+            if (pending?.pointerId === e.pointerId) clearPending();
+            if (pan?.pointerId === e.pointerId) pan = null;
+            if (drag?.pointerId === e.pointerId) endDrag(true);
+        });
+        
+        container.addEventListener('pointercancel', (e) => {
+            if (pending?.pointerId === e.pointerId) clearPending();
+            if (pan?.pointerId === e.pointerId) pan = null;
+            if (drag?.pointerId === e.pointerId) endDrag(false);
+        });
+        
+        // Once an item is picked up, touch moves drag it instead of scrolling the page
+        container.addEventListener('touchmove', (e) => {
+            if (drag) e.preventDefault();
+        }, { passive: false });
+        
+        // Long-pressing would otherwise open the context menu on Android
+        container.addEventListener('contextmenu', (e) => {
+            if (drag || pending) e.preventDefault();
+        });
+    }
+};
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    globalThis.setlistStudioApp.init();
+});
+
+// Screen reader announcer - a polite and an assertive live region, each fed from a queue.
+// Every message stays in its region for at least minDwellMs so the screen reader has
+// time to pick it up before the next replaces it, the same message isn't queued twice,
+// and polite messages wait while an assertive one is being read.
+globalThis.setlistStudioApp.announcer = {
+    minDwellMs: 1500,
+    maxQueueLength: 5,
+    channels: {
+        polite: { regionId: 'sr-live-region', queue: [], current: null, timer: null },
+        assertive: { regionId: 'sr-live-region-assertive', queue: [], current: null, timer: null }
+    },
+    
+    announce: function(message, priority = 'polite') {
+        const text = String(message ?? '').trim();
+        if (!text) return;
+        
+        const channel = this.channels[priority === 'assertive' ? 'assertive' : 'polite'];
+        
+        // Drop repeats - already waiting, or still being read out
+        if (channel.queue.includes(text)) return;
+        if (channel.timer && channel.current?.text === text) return;
+        
+        channel.queue.push(text);
+        if (channel.queue.length > this.maxQueueLength) {
+            channel.queue.shift();
+        }
+        
+        this.pump();
+    },
+    
+    clear: function() {
+        for (const channel of Object.values(this.channels)) {
+            clearTimeout(channel.timer);
+            channel.queue = [];
+            channel.current = null;
+            channel.timer = null;
+            const region = document.getElementById(channel.regionId);
+            if (region) {
+                region.textContent = '';
+            }
+        }
+    },
+    
+    pump: function() {
+        const { polite, assertive } = this.channels;
+        this.pumpChannel(assertive);
+        
+        if (!assertive.timer) {
+            this.pumpChannel(polite);
+        }
+    },
+    
+    pumpChannel: function(channel) {
+        if (channel.timer || channel.queue.length === 0) return;
+        
+        const text = channel.queue.shift();
+        const region = this.getRegion(channel);
+        channel.current = { text };
+        
+        // Empty the region first so repeating the previous message is still read out
+        region.textContent = '';
+        setTimeout(() => {
+            if (channel.current?.text === text) {
+                region.textContent = text;
+            }
+        }, 50);
+        
+        channel.timer = setTimeout(() => {
+            channel.timer = null;
+            if (channel.queue.length === 0) {
+                region.textContent = '';
+            }
+            this.pump();
+        }, this.minDwellMs);
+    },
+    
+    getRegion: function(channel) {
+        let region = document.getElementById(channel.regionId);
+        if (!region) {
+            region = document.createElement('div');
+            region.id = channel.regionId;
+            region.className = 'sr-only';
+            region.setAttribute('aria-live', channel === this.channels.assertive ? 'assertive' : 'polite');
+            region.setAttribute('aria-atomic', 'true');
+            document.body.appendChild(region);
+        }
+        return region;
+    }
+};
+
+// Undo / redo for setlist edits - each entry is the detail a drop zone callback received,
+// so undoing replays its inverse through that same callback (and Blazor interop)
+globalThis.setlistStudioApp.history = {
+    undoStack: [],
+    redoStack: [],
+    limit: 50,
+    toastTimer: null,
+    
+    // Only reorder, move, copy, insert and remove details can be inverted
+    record: function(detail, description) {
+        if (!this.invert(detail)) return;
+        
+        this.undoStack.push({ detail, description });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.showUndoToast(description);
+    },
+    
+    canUndo: function() {
+        return this.undoStack.length > 0;
+    },
+    
+    canRedo: function() {
+        return this.redoStack.length > 0;
+    },
+    
+    clear: function() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.hideUndoToast();
+    },
+    
+    undo: function() {
+        const entry = this.undoStack.pop();
+        if (!entry) {
+            globalThis.setlistStudioApp.announceToScreenReader('Nothing to undo');
+            return false;
+        }
+        
+        if (!this.apply(this.invert(entry.detail), 'undo')) {
+            this.clear();
+            return false;
+        }
+        
+        this.redoStack.push(entry);
+        this.hideUndoToast();
+        globalThis.setlistStudioApp.announceToScreenReader(`Undone: ${entry.description}`);
+        return true;
+    },
+    
+    redo: function() {
+        const entry = this.redoStack.pop();
+        if (!entry) {
+            globalThis.setlistStudioApp.announceToScreenReader('Nothing to redo');
+            return false;
+        }
+        
+        if (!this.apply(entry.detail, 'redo')) {
+            this.clear();
+            return false;
+        }
+        
+        this.undoStack.push(entry);
+        globalThis.setlistStudioApp.announceToScreenReader(`Redone: ${entry.description}`);
+        return true;
+    },
+    
+    // The change that reverses detail
+    invert: function(detail) {
+        switch (detail.operation) {
+            case 'reorder':
+            case 'move':
+                return {
+                    ...detail,
+                    source: detail.target,
+                    target: detail.source,
+                    fromIndex: detail.toIndex,
+                    toIndex: detail.fromIndex,
+                    index: detail.fromIndex
+                };
+            case 'copy':
+            case 'insert':
+                return { ...detail, operation: 'remove', source: detail.target, fromIndex: detail.index, toIndex: null };
+            case 'remove':
+                return { ...detail, operation: 'insert', fromIndex: null, toIndex: detail.index };
+            default:
+                return null;
+        }
+    },
+    
+    // Moves the item back on screen where it still exists and tells the zone's callback
+    apply: function(detail, direction) {
+        const app = globalThis.setlistStudioApp;
+        const zone = app.dropZones.get(detail.target);
+        
+        if (!zone?.container.isConnected) {
+            app.announceToScreenReader(`Can't ${direction} - that list is no longer on screen`);
+            return false;
+        }
+        
+        if (detail.operation === 'reorder' || detail.operation === 'move') {
+            const source = app.dropZones.get(detail.source);
+            const item = source && app.getZoneItems(source).find(candidate =>
+                (candidate.dataset.itemId || candidate.id) === detail.itemId);
+            
+            if (item) {
+                app.moveReorderItem(zone, item, detail.toIndex);
+            }
+        }
+        
+        app.notifyDropZone(zone, { ...detail, history: direction });
+        return true;
+    },
+    
+    // Text fields keep their own undo - the registry skips shortcuts while typing.
+    // Returning false leaves the key to the browser when there is nothing to replay
+    setupShortcuts: function() {
+        const app = globalThis.setlistStudioApp;
+        app.registerShortcut('Mod+Z', () => this.canUndo() && this.undo(), {
+            id: 'undo',
+            description: 'Undo the last setlist change'
+        });
+        app.registerShortcut('Mod+Shift+Z', () => this.canRedo() && this.redo(), {
+            id: 'redo',
+            description: 'Redo the last undone change'
+        });
+        app.registerShortcut('Mod+Y', () => this.canRedo() && this.redo(), {
+            id: 'redo-alternate',
+            description: 'Redo the last undone change'
+        });
+    },
+    
+    // Brief toast with an Undo button after each change - record() callers have already
+    // announced the change, so the toast isn't a live region
+    showUndoToast: function(description) {
+        let toast = document.getElementById('undo-toast');
+        if (!toast) {
+            toast = document.createElement('div');
+            toast.id = 'undo-toast';
+            toast.className = 'undo-toast';
+            
+            const message = document.createElement('span');
+            message.className = 'undo-toast-message';
+            
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'undo-toast-button';
+            button.textContent = 'Undo';
+            button.addEventListener('click', () => this.undo());
+            
+            toast.append(message, button);
+            document.body.appendChild(toast);
+        }
+        
+        toast.querySelector('.undo-toast-message').textContent = description;
+        toast.hidden = false;
+        
+        clearTimeout(this.toastTimer);
+        this.toastTimer = setTimeout(() => this.hideUndoToast(), 6000);
+    },
+    
+    hideUndoToast: function() {
+        clearTimeout(this.toastTimer);
+        const toast = document.getElementById('undo-toast');
+        if (toast) {
+            toast.hidden = true;
+        }
+    }
+};
+
+// Keyboard shortcut registry - one keydown listener for the whole app.
+// Combos look like 'Alt+M', 'Mod+Shift+Z' (Mod is Cmd on Apple devices, Ctrl elsewhere),
+// '?' or 'ArrowRight'. options.scope decides when a shortcut is active:
+//   'global'      - anywhere, unless a MudBlazor dialog is open (the default)
+//   'modal'       - only while a MudBlazor dialog is open
+//   'performance' - only in performance mode
+//   '/setlists'   - only on routes starting with that path
+// Shortcuts never fire while typing in a text field unless options.allowInInputs is set.
+// Users can rebind any shortcut from the "?" overlay; bindings are kept in localStorage.
+globalThis.setlistStudioApp.shortcuts = {
+    registry: new Map(),
+    storageKey: 'shortcutBindings',
+    isApple: /Mac|iPhone|iPad|iPod/.test(navigator.platform || navigator.userAgent),
+    helpOverlay: null,
+    
+    setup: function() {
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    },
+    
+    register: function(combo, handler, options = {}) {
+        const defaultCombo = this.normalizeCombo(combo);
+        const id = options.id || defaultCombo;
+        
+        this.registry.set(id, {
+            id,
+            defaultCombo,
+            combo: this.loadBindings()[id] || defaultCombo,
+            handler,
+            scope: options.scope || 'global',
+            description: options.description || id,
+            allowInInputs: options.allowInInputs === true
+        });
+        return id;
+    },
+    
+    unregister: function(id) {
+        this.registry.delete(id);
+    },
+    
+    // 'Mod+Shift+z' -> 'ctrl+shift+z' - modifiers in a fixed order, key lower-cased
+    normalizeCombo: function(combo) {
+        const parts = combo.split('+').map(part => part.trim().toLowerCase());
+        const key = this.normalizeKey(parts.pop() || '+');
+        const modifiers = new Set(parts.map(part => {
+            if (part === 'mod') return this.isApple ? 'meta' : 'ctrl';
+            if (part === 'cmd' || part === 'command') return 'meta';
+            if (part === 'control') return 'ctrl';
+            if (part === 'option') return 'alt';
+            return part;
+        }));
+        
+        return this.buildCombo(modifiers, key);
+    },
+    
+    normalizeKey: function(key) {
+        if (key === ' ' || key === 'spacebar') return 'space';
+        if (key === 'esc') return 'escape';
+        return key.toLowerCase();
+    },
+    
+    buildCombo: function(modifiers, key) {
+        // Shift is part of symbols such as '?' - only letters, digits and named keys keep it
+        const keepShift = key.length > 1 || /[a-z0-9]/.test(key);
+        const order = ['ctrl', 'alt', keepShift ? 'shift' : null, 'meta'];
+        return [...order.filter(modifier => modifier && modifiers.has(modifier)), key].join('+');
+    },
+    
+    comboFromEvent: function(e) {
+        // Alt changes the character on Apple keyboards (Alt+M is 'µ'), so use the physical key
+        const key = e.altKey && e.code?.startsWith('Key') ? e.code.slice(3) : e.key;
+        const modifiers = new Set();
+        if (e.ctrlKey) modifiers.add('ctrl');
+        if (e.altKey) modifiers.add('alt');
+        if (e.shiftKey) modifiers.add('shift');
+        if (e.metaKey) modifiers.add('meta');
+        return this.buildCombo(modifiers, this.normalizeKey(key));
+    },
+    
+    // 'ctrl+shift+z' -> 'Ctrl+Shift+Z' for display
+    formatCombo: function(combo) {
+        const names = { ctrl: 'Ctrl', alt: this.isApple ? 'Option' : 'Alt', shift: 'Shift', meta: this.isApple ? 'Cmd' : 'Meta', space: 'Space', escape: 'Esc' };
+        return combo.split('+').map(part => {
+            if (names[part]) return names[part];
+            if (part.startsWith('arrow')) return part.replace('arrow', 'Arrow ').replace(/ \w/, c => c.toUpperCase());
+            return part.length === 1 ? part.toUpperCase() : part.charAt(0).toUpperCase() + part.slice(1);
+        }).join('+');
+    },
+    
+    // Only MudBlazor dialogs count. The stage view and pedal setup panel are also marked
+    // aria-modal, but '?' help and undo must keep working while they are open
+    isModalOpen: function() {
+        return !!document.querySelector('.mud-dialog');
+    },
+    
+    isScopeActive: function(scope, modalOpen = this.isModalOpen()) {
+        if (scope === 'modal') return modalOpen;
+        if (modalOpen) return false;
+        if (scope === 'performance') return document.body.classList.contains('performance-mode');
+        if (scope.startsWith('/')) return location.pathname.startsWith(scope);
+        return true;
+    },
+    
+    getActiveShortcuts: function() {
+        const modalOpen = this.isModalOpen();
+        return [...this.registry.values()].filter(shortcut => this.isScopeActive(shortcut.scope, modalOpen));
+    },
+    
+    isTyping: function(target) {
+        return !!target.closest?.('input, textarea, select, [contenteditable=""], [contenteditable="true"]');
+    },
+    
+    handleKeydown: function(e) {
+        // Components that handle a key themselves (reordering, menus) get it first
+        if (e.defaultPrevented || e.repeat || this.helpOverlay) return;
+        
+        const combo = this.comboFromEvent(e);
+        const typing = this.isTyping(e.target);
+        const shortcut = this.getActiveShortcuts().find(candidate =>
+            candidate.combo === combo && (!typing || candidate.allowInInputs));
+        if (!shortcut) return;
+        
+        let result;
+        if (typeof shortcut.handler === 'function') {
+            result = shortcut.handler(e);
+        } else if (shortcut.handler?.invokeMethodAsync) {
+            shortcut.handler.invokeMethodAsync('OnShortcut', shortcut.id);
+        }
+        
+        if (result !== false) {
+            e.preventDefault();
+        }
+    },
+    
+    // Rebinding - returns false when another shortcut that can be active at the same time uses the combo
+    remap: function(id, combo) {
+        const shortcut = this.registry.get(id);
+        if (!shortcut) return false;
+        
+        const normalized = this.normalizeCombo(combo);
+        const conflict = [...this.registry.values()].find(other =>
+            other.id !== id && other.combo === normalized && (other.scope === 'modal') === (shortcut.scope === 'modal'));
+        if (conflict) return false;
+        
+        shortcut.combo = normalized;
+        this.saveBinding(id, normalized === shortcut.defaultCombo ? null : normalized);
+        return true;
+    },
+    
+    resetBindings: function() {
+        for (const shortcut of this.registry.values()) {
+            shortcut.combo = shortcut.defaultCombo;
+        }
+        localStorage.removeItem(this.storageKey);
+    },
+    
+    loadBindings: function() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch {
+            return {};
+        }
+    },
+    
+    saveBinding: function(id, combo) {
+        const bindings = this.loadBindings();
+        if (combo) {
+            bindings[id] = combo;
+        } else {
+            delete bindings[id];
+        }
+        localStorage.setItem(this.storageKey, JSON.stringify(bindings));
+    },
+    
+    // "?" overlay listing the shortcuts active on this page, each with a Change button
+    showHelp: function() {
+        if (this.helpOverlay) return;
+        
+        const shortcuts = this.getActiveShortcuts();
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'shortcut-help-overlay';
+        
+        const dialog = document.createElement('div');
+        dialog.className = 'shortcut-help';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'shortcut-help-title');
+        
+        const title = document.createElement('h2');
+        title.id = 'shortcut-help-title';
+        title.textContent = 'Keyboard shortcuts';
+        
+        const list = document.createElement('dl');
+        list.className = 'shortcut-help-list';
+        
+        let recording = null;
+        const stopRecording = () => {
+            if (!recording) return;
+            recording.button.textContent = 'Change';
+            recording.button.removeAttribute('aria-pressed');
+            recording = null;
+        };
+        
+        for (const shortcut of shortcuts) {
+            const keys = document.createElement('dt');
+            const kbd = document.createElement('kbd');
+            kbd.textContent = this.formatCombo(shortcut.combo);
+            keys.appendChild(kbd);
+            
+            const description = document.createElement('dd');
+            description.append(shortcut.description);
+            
+            const change = document.createElement('button');
+            change.type = 'button';
+            change.className = 'shortcut-help-change';
+            change.textContent = 'Change';
+            change.setAttribute('aria-label', `Change shortcut for ${shortcut.description}`);
+            change.addEventListener('click', () => {
+                stopRecording();
+                recording = { shortcut, button: change, kbd };
+                change.textContent = 'Press keys...';
+                change.setAttribute('aria-pressed', 'true');
+                globalThis.setlistStudioApp.announceToScreenReader(`Press the new shortcut for ${shortcut.description}, or Escape to cancel`);
+            });
+            description.appendChild(change);
+            
+            list.append(keys, description);
+        }
+        
+        const actions = document.createElement('div');
+        actions.className = 'shortcut-help-actions';
+        
+        const reset = document.createElement('button');
+        reset.type = 'button';
+        reset.textContent = 'Reset to defaults';
+        reset.addEventListener('click', () => {
+            this.resetBindings();
+            this.hideHelp();
+            this.showHelp();
+            globalThis.setlistStudioApp.announceToScreenReader('Shortcuts reset to defaults');
+        });
+        
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.textContent = 'Close';
+        close.setAttribute('aria-label', 'Close keyboard shortcuts');
+        close.addEventListener('click', () => this.hideHelp());
+        
+        actions.append(reset, close);
+        dialog.append(title, list, actions);
+        overlay.appendChild(dialog);
+        
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.hideHelp();
+        });
+        
+        dialog.addEventListener('keydown', (e) => {
+            if (recording) {
+                if (['Control', 'Alt', 'Shift', 'Meta', 'Tab'].includes(e.key)) return;
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                
+                if (e.key === 'Escape') {
+                    stopRecording();
+                    return;
+                }
+                
+                const combo = this.comboFromEvent(e);
+                const { shortcut, kbd, button } = recording;
+                stopRecording();
+                
+                if (this.remap(shortcut.id, combo)) {
+                    kbd.textContent = this.formatCombo(combo);
+                    globalThis.setlistStudioApp.announceToScreenReader(`${shortcut.description} is now ${this.formatCombo(combo)}`);
+                } else {
+                    globalThis.setlistStudioApp.announceToScreenReader(`${this.formatCombo(combo)} is already in use`);
+                }
+                button.focus();
+            }
+        });
+        
+        document.body.appendChild(overlay);
+        this.helpOverlay = {
+            overlay,
+            focusTrap: globalThis.setlistStudioApp.trapFocus(dialog, { onEscape: () => this.hideHelp() })
+        };
+    },
+    
+    hideHelp: function() {
+        if (!this.helpOverlay) return;
+        
+        const { overlay, focusTrap } = this.helpOverlay;
+        this.helpOverlay = null;
+        focusTrap.release();
+        overlay.remove();
+    }
+};
+
+// Blazor reconnection helpers - replaces the stock reconnect modal, which blocks the whole
+// screen on stage. A slim banner shows while the circuit reconnects with exponential backoff;
+// after handOffAfterFailures failed attempts the cached offline view (offline.html) takes over,
+// and it sends the musician back here once the server answers again.
+globalThis.setlistStudioApp.reconnection = {
+    minDelayMs: 1000,
+    maxDelayMs: 30000,
+    handOffAfterFailures: 6,
+    attempts: 0,
+    active: false,
+    timer: null,
+    
+    // Blazor.start's reconnectionHandler
+    onConnectionDown: function(options, error) {
+        if (this.active) return;
+        
+        console.log('[App] Circuit connection lost:', error?.message || 'disconnected');
+        this.active = true;
+        this.attempts = 0;
+        globalThis.setlistStudioApp.connectivity.setCircuitState('reconnecting');
+        globalThis.setlistStudioApp.announceToScreenReader('Connection to the server lost - reconnecting. Your setlist stays on screen.', 'assertive');
+        
+        this.onlineListener = () => this.retryNow();
+        globalThis.addEventListener('online', this.onlineListener);
+        
+        this.showBanner();
+        this.scheduleAttempt(0);
+    },
+    
+    onConnectionUp: function() {
+        if (!this.active) return;
+        
+        console.log(`[App] Circuit reconnected after ${this.attempts} attempt(s)`);
+        this.active = false;
+        clearTimeout(this.timer);
+        globalThis.removeEventListener('online', this.onlineListener);
+        globalThis.setlistStudioApp.connectivity.setCircuitState('connected');
+        globalThis.setlistStudioApp.announceToScreenReader('Reconnected');
+        this.hideBanner();
+    },
+    
+    scheduleAttempt: function(delay) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.attempt(), delay);
+        this.updateBanner(delay > 0 ? `Connection lost - retrying in ${Math.ceil(delay / 1000)}s` : 'Connection lost - reconnecting...');
+    },
+    
+    retryNow: function() {
+        if (this.active) {
+            this.scheduleAttempt(0);
+        }
+    },
+    
+    attempt: async function() {
+        if (!this.active) return;
+        
+        this.attempts++;
+        this.updateBanner('Reconnecting...');
+        
+        let rejected = false;
+        try {
+            // false means the server answered but no longer has this circuit
+            rejected = !await globalThis.Blazor.reconnect();
+        } catch (error) {
+            console.log(`[App] Reconnect attempt ${this.attempts} failed:`, error?.message || error);
+        }
+        
+        // onConnectionUp has already run if the attempt succeeded
+        if (!this.active) return;
+        
+        if (rejected) {
+            // The server is back but the circuit is gone - a fresh page load starts a new one
+            this.updateBanner('Reconnected - reloading...');
+            globalThis.location.reload();
+            return;
+        }
+        
+        if (this.attempts >= this.handOffAfterFailures && this.canHandOff()) {
+            this.handOff();
+            return;
+        }
+        
+        const delay = Math.min(this.maxDelayMs, this.minDelayMs * 2 ** (this.attempts - 1));
+        this.scheduleAttempt(Math.round(delay * (0.8 + Math.random() * 0.4)));
+    },
+    
+    // offline.html only opens without a network if the service worker has it cached
+    canHandOff: function() {
+        return !!navigator.serviceWorker?.controller;
+    },
+    
+    handOff: function() {
+        clearTimeout(this.timer);
+        this.active = false;
+        
+        const returnTo = globalThis.location.pathname + globalThis.location.search + globalThis.location.hash;
+        const setlistId = /^\/setlists\/(\d+)/.exec(globalThis.location.pathname)?.[1];
+        const hash = setlistId ? `#setlist=${setlistId}` : '';
+        
+        console.log('[App] Handing off to the offline setlist view');
+        globalThis.location.assign(`/offline.html?handoff=1&return=${encodeURIComponent(returnTo)}${hash}`);
+    },
+    
+    showBanner: function() {
+        let banner = document.getElementById('reconnect-banner');
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'reconnect-banner';
+            banner.className = 'reconnect-banner';
+            
+            const message = document.createElement('span');
+            message.className = 'reconnect-banner-message';
+            
+            const retry = document.createElement('button');
+            retry.type = 'button';
+            retry.textContent = 'Retry now';
+            retry.addEventListener('click', () => this.retryNow());
+            
+            const offline = document.createElement('button');
+            offline.type = 'button';
+            offline.className = 'reconnect-banner-offline';
+            offline.textContent = 'Offline setlists';
+            offline.addEventListener('click', () => this.handOff());
+            
+            banner.append(message, retry, offline);
+            document.body.appendChild(banner);
+        }
+        
+        banner.querySelector('.reconnect-banner-offline').hidden = !this.canHandOff();
+        banner.hidden = false;
+    },
+    
+    updateBanner: function(message) {
+        const text = document.querySelector('#reconnect-banner .reconnect-banner-message');
+        if (text) {
+            text.textContent = message;
+        }
+    },
+    
+    hideBanner: function() {
+        const banner = document.getElementById('reconnect-banner');
+        if (banner) {
+            banner.hidden = true;
+        }
+    }
+};
+
+// App updates - a new service worker waits until the user chooses to reload,
+// so the app never swaps versions in the middle of a set
+globalThis.setlistStudioApp.updates = {
+    registration: null,
+    updateCallback: null,
+    reloadRequested: false,
+    
+    // True when a new version has installed and is waiting to take over
+    isUpdateAvailable: function() {
+        return !!(this.registration?.waiting && navigator.serviceWorker.controller);
+    },
+    
+    // Activate the waiting version and reload once it takes control
+    applyUpdate: function() {
+        const waitingWorker = this.registration?.waiting;
+        if (!waitingWorker) {
+            return false;
+        }
+        
+        this.reloadRequested = true;
+        waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+        console.log('[App] Applying update requested by user');
+        return true;
+    },
+    
+    // Build version of the service worker currently controlling the page
+    getVersion: function() {
+        return globalThis.setlistStudioApp.offline.requestFromServiceWorker({ type: 'GET_VERSION' }, 'VERSION', { version: null })
+            .then(result => result.version);
+    },
+    
+    registerUpdateCallback: function(dotNetRef) {
+        this.updateCallback = dotNetRef;
+        console.log('[App] Update callback registered');
+        
+        // An update may have been found before the component subscribed
+        if (this.isUpdateAvailable()) {
+            this.notifyUpdateAvailable();
+        }
+    },
+    
+    unregisterUpdateCallback: function() {
+        this.updateCallback = null;
+        console.log('[App] Update callback unregistered');
+    },
+    
+    notifyUpdateAvailable: function() {
+        console.log('[App] New version ready - waiting for user to reload');
+        document.dispatchEvent(new CustomEvent('appUpdateAvailable'));
+        globalThis.setlistStudioApp.announceToScreenReader('A new version of Setlist Studio is ready');
+        
+        if (this.updateCallback) {
+            this.updateCallback.invokeMethodAsync('OnUpdateAvailable');
+        }
+    },
+    
+    trackInstallingWorker: function(worker) {
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                this.notifyUpdateAvailable();
+            }
+        });
+    }
+};
+
+// Service Worker registration for offline performance support
+(async function() {
+    if ('serviceWorker' in navigator) {
+        const updates = globalThis.setlistStudioApp.updates;
+        
+        try {
+            // The layout renders the worker URL with a content hash that versions its caches
+            const serviceWorkerUrl = document.querySelector('meta[name="service-worker-url"]')?.content || '/service-worker.js';
+            const registration = await navigator.serviceWorker.register(serviceWorkerUrl);
+            updates.registration = registration;
+            console.log('[App] Service Worker registered - offline performance mode enabled');
+            
+            globalThis.setlistStudioApp.offline.requestPersistentStorage();
+            
+            // Catch up on a pinned setlist refresh missed while the app was closed
+            if (navigator.onLine) {
+                globalThis.setlistStudioApp.offline.refreshPinnedSetlists();
+            }
+            
+            // A version may already be waiting from a previous visit
+            if (updates.isUpdateAvailable()) {
+                updates.notifyUpdateAvailable();
+            }
+            
+            // Listen for updates to the service worker
+            registration.addEventListener('updatefound', () => {
+                console.log('[App] New Service Worker version downloading');
+                const newWorker = registration.installing;
+                
+                if (newWorker) {
+                    updates.trackInstallingWorker(newWorker);
+                }
+            });
+            
+            // Only reload when the user asked for the update
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (updates.reloadRequested) {
+                    globalThis.location.reload();
+                }
+            });
+        } catch (error) {
+            console.error('[App] Service Worker registration failed:', error);
+        }
+    }
+})();
+
+// Listen for service worker messages
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', event => {
+        const { type, payload } = event.data;
+        
+        switch (type) {
+            case 'CACHE_STATUS':
+                console.log('[App] Cache status:', payload);
+                document.dispatchEvent(new CustomEvent('cacheStatus', { detail: payload }));
+                break;
+                
+            case 'OFFLINE_READY':
+                console.log('[App] Offline capabilities ready');
+                globalThis.setlistStudioApp.showOfflineReady?.();
+                break;
+                
+            case 'OFFLINE_WRITE_QUEUED':
+            case 'OFFLINE_WRITE_SYNCED':
+            case 'OFFLINE_WRITE_FAILED':
+            case 'OFFLINE_SYNC_COMPLETE':
+            case 'OFFLINE_WRITE_MERGED':
+            case 'OFFLINE_WRITE_CONFLICT':
+            case 'OFFLINE_WRITE_RESOLVED':
+            case 'USER_DATA_PURGED':
+            case 'USER_DATA_SUSPENDED':
+            case 'PINNED_SETLISTS_REFRESHED':
+            case 'REFRESH_SCHEDULE_RESET':
+                globalThis.setlistStudioApp.offline.notifySyncStatus(type, payload);
+                break;
+                
+            default:
+                console.log('[App] Unknown service worker message:', type);
+        }
+    });
+}
+
+// Offline functionality for performance scenarios
+globalThis.setlistStudioApp.offline = {
+    // How long to wait for a service worker reply before using the fallback - a worker that is
+    // stuck or being replaced must not leave Blazor awaiting forever
+    requestTimeoutMs: 10000,
+    refreshTimeoutMs: 60000,
+    
+    // Cache specific setlist for offline access
+    cacheSetlist: function(setlistId) {
+        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({
+                type: 'CACHE_SETLIST',
+                payload: { setlistId }
+            });
+            console.log('[App] Requested offline caching for setlist:', setlistId);
+            
+            // Pinning gig data is a good moment to ask the browser to keep it
+            this.requestPersistentStorage();
+        }
+    },
+    
+    // Make a setlist fully available offline: the setlist, all of its songs and the page shell.
+    // options: { pagePaths, onProgress(type, payload), dotNetRef } - dotNetRef.OnPinProgress(type, payload)
+    // hears about progress and failed items. Resolves with { setlistId, songsReady, songsTotal, failures, ready }
+    pinSetlist: function(setlistId, options = {}) {
+        return new Promise((resolve) => {
+            if (!('serviceWorker' in navigator && navigator.serviceWorker.controller)) {
+                resolve({ setlistId: String(setlistId), songsReady: 0, songsTotal: 0, ready: false, failures: [{ reason: 'Service worker not available' }] });
+                return;
+            }
+            
+            const messageChannel = new MessageChannel();
+            
+            messageChannel.port1.onmessage = (event) => {
+                const { type, payload } = event.data;
+                this.notifyPinProgress(type, payload, options);
+                
+                if (type === 'PIN_COMPLETE') {
+                    messageChannel.port1.close();
+                    resolve(payload);
+                }
+            };
+            
+            navigator.serviceWorker.controller.postMessage(
+                {
+                    type: 'PIN_SETLIST',
+                    payload: { setlistId, pagePaths: options.pagePaths || [] }
+                },
+                [messageChannel.port2]
+            );
+            console.log('[App] Packaging setlist for offline use:', setlistId);
+            
+            this.requestPersistentStorage();
+        });
+    },
+    
+    // Forward pin progress ("12/14 songs ready"), failures and completion to listeners.
+    // A Blazor caller gets the completion summary from the returned promise instead
+    notifyPinProgress: function(type, payload, options) {
+        options.onProgress?.(type, payload);
+        document.dispatchEvent(new CustomEvent('setlistPinProgress', { detail: { type, ...payload } }));
+        
+        if (options.dotNetRef && type !== 'PIN_COMPLETE') {
+            globalThis.setlistStudioApp.invokeDotNetCallback(options.dotNetRef, 'OnPinProgress', [type, payload], () => {
+                options.dotNetRef = null;
+            });
+        }
+    },
+    
+    // Readiness of every pinned setlist, for the ready / not-ready badge
+    getPinnedSetlists: async function() {
+        const result = await this.requestFromServiceWorker({ type: 'GET_PINNED_SETLISTS' }, 'PINNED_SETLISTS', { setlists: [] });
+        return result.setlists;
+    },
+    
+    // True when the setlist and every one of its songs are cached
+    isSetlistReady: async function(setlistId) {
+        const pinned = await this.getPinnedSetlists();
+        return pinned.some(setlist => setlist.setlistId === String(setlistId) && setlist.ready);
+    },
+    
+    // A setlist and its songs straight from the service worker cache, without touching the
+    // network: { setlist, songIds, songs }, or null when it isn't cached
+    getCachedSetlist: function(setlistId) {
+        return this.requestFromServiceWorker({ type: 'GET_CACHED_SETLIST', payload: { setlistId } }, 'CACHED_SETLIST', null);
+    },
+    
+    // Release a pinned setlist so its cached data can be evicted again
+    unpinSetlist: function(setlistId) {
+        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({
+                type: 'UNPIN_SETLIST',
+                payload: { setlistId }
+            });
+            console.log('[App] Requested unpinning of setlist:', setlistId);
+        }
+    },
+    
+    // When pinned setlists are refreshed in the background and the last successful run
+    getRefreshSchedule: function() {
+        return this.requestFromServiceWorker({ type: 'GET_REFRESH_SCHEDULE' }, 'REFRESH_SCHEDULE', null);
+    },
+    
+    // Set how often pinned setlists are re-fetched, e.g. 720 for every 12 hours
+    setRefreshSchedule: function(intervalMinutes, enabled = true) {
+        return this.requestFromServiceWorker(
+            { type: 'SET_REFRESH_SCHEDULE', payload: { intervalMinutes, enabled } },
+            'REFRESH_SCHEDULE',
+            null
+        );
+    },
+    
+    // Re-fetch pinned setlists now (force) or only if the schedule says one is due.
+    // Browsers without periodic background sync rely on the due check when the app regains focus.
+    refreshPinnedSetlists: function(force = false) {
+        return this.requestFromServiceWorker(
+            { type: 'REFRESH_PINNED_SETLISTS', payload: { force } },
+            'REFRESH_SCHEDULE',
+            null,
+            this.refreshTimeoutMs
+        );
+    },
+    
+    // Select the signed-in user's cache partition (called by MainLayout with a hashed user id,
+    // or null when signed out). Switching users wipes the previous user's cached data.
+    setCurrentUser: function(userKey) {
+        if (!('serviceWorker' in navigator)) return;
+        
+        // On a first visit the worker may not be active yet - send once it is.
+        // Not awaited, so the Blazor interop call returns immediately.
+        navigator.serviceWorker.ready.then(registration => {
+            registration.active?.postMessage({
+                type: 'SET_USER',
+                payload: { userKey: userKey || null }
+            });
+        });
+    },
+    
+    // Wipe every cached song, setlist, page and queued edit for the current user.
+    // Resolves with { reason, success, error? }
+    purgeUserData: function(reason) {
+        return this.requestFromServiceWorker(
+            { type: 'PURGE_USER_DATA', payload: { reason: reason || 'requested' } },
+            'USER_DATA_PURGED',
+            { reason: reason || 'requested', success: false, error: 'Service worker not available' }
+        );
+    },
+    
+    // Ask the browser not to clear our storage under pressure, so gig data survives
+    requestPersistentStorage: async function() {
+        try {
+            if (!navigator.storage?.persist) {
+                return false;
+            }
+            
+            if (await navigator.storage.persisted()) {
+                return true;
+            }
+            
+            const persisted = await navigator.storage.persist();
+            console.log('[App] Persistent storage', persisted ? 'granted' : 'not granted');
+            return persisted;
+        } catch (error) {
+            console.warn('[App] Persistent storage request failed:', error.message);
+            return false;
+        }
+    },
+    
+    // Cache multiple songs for offline access  
+    cacheSongs: function(songs) {
+        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({
+                type: 'CACHE_SONGS', 
+                payload: { songs }
+            });
+            console.log('[App] Requested offline caching for songs:', songs.length);
+        }
+    },
+    
+    // Send a message to the service worker and wait for its reply on a MessageChannel.
+    // Resolves with fallback when there is no worker or it doesn't answer within timeoutMs
+    requestFromServiceWorker: function(message, replyType, fallback, timeoutMs = this.requestTimeoutMs) {
+        return new Promise((resolve) => {
+            if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+                const messageChannel = new MessageChannel();
+                
+                const timer = setTimeout(() => {
+                    console.warn(`[App] No ${replyType} reply from service worker after ${timeoutMs}ms`);
+                    messageChannel.port1.close();
+                    resolve(fallback);
+                }, timeoutMs);
+                
+                messageChannel.port1.onmessage = (event) => {
+                    if (event.data.type === replyType) {
+                        clearTimeout(timer);
+                        messageChannel.port1.close();
+                        resolve(event.data.payload);
+                    }
+                };
+                
+                navigator.serviceWorker.controller.postMessage(message, [messageChannel.port2]);
+            } else {
+                resolve(fallback);
+            }
+        });
+    },
+    
+    // Get the offline readiness report: bytes per cache, storage quota, last-synced time
+    // and staleness of each cached setlist and song, and which pinned setlists are complete
+    getCacheStatus: async function() {
+        const status = await this.requestFromServiceWorker({ type: 'GET_CACHE_STATUS' }, 'CACHE_STATUS', null);
+        const report = status || { caches: {}, setlists: [], songs: [], pinnedSetlists: [], storage: {} };
+        
+        // Persistence can only be queried from the page, not the service worker
+        try {
+            report.storage.persisted = navigator.storage?.persisted ? await navigator.storage.persisted() : false;
+        } catch (error) {
+            console.warn('[App] Persistent storage check failed:', error.message);
+            report.storage.persisted = false;
+        }
+        
+        document.dispatchEvent(new CustomEvent('cacheStatus', { detail: report }));
+        return report;
+    },
+    
+    // Clear API cache (for troubleshooting)
+    clearCache: function() {
+        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'CLEAR_CACHE' });
+            console.log('[App] Cache clear requested');
+        }
+    },
+    
+    // Ask the service worker to replay edits queued while offline
+    replayQueuedWrites: function() {
+        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'REPLAY_OUTBOX' });
+            console.log('[App] Requested replay of offline writes');
+        }
+    },
+    
+    // Get the edits still waiting in the offline outbox
+    getQueuedWrites: async function() {
+        const status = await this.requestFromServiceWorker({ type: 'GET_OUTBOX_STATUS' }, 'OUTBOX_STATUS', { pending: [] });
+        return status.pending;
+    },
+    
+    // Get offline edits that clashed with a newer server copy, with base / mine / theirs
+    // values for each conflicting field so a Blazor dialog can offer a choice
+    getConflicts: async function() {
+        const result = await this.requestFromServiceWorker({ type: 'GET_CONFLICTS' }, 'CONFLICTS', { conflicts: [] });
+        return result.conflicts;
+    },
+    
+    // Resolve a conflict: 'mine' keeps my edit, 'theirs' keeps the server copy,
+    // 'merge' picks per field using fieldChoices, e.g. { bpm: 'theirs', 'setlistSongs.12.customKey': 'mine' }
+    resolveConflict: function(id, strategy, fieldChoices) {
+        return this.requestFromServiceWorker(
+            { type: 'RESOLVE_CONFLICT', payload: { id, strategy, fieldChoices: fieldChoices || {} } },
+            'CONFLICT_RESOLVED',
+            { id, success: false, error: 'Service worker not available' }
+        );
+    },
+    
+    // Blazor callback notified as each queued write is stored, synced or rejected
+    syncStatusCallback: null,
+    
+    registerSyncStatusCallback: function(dotNetRef) {
+        this.syncStatusCallback = dotNetRef;
+        console.log('[App] Offline sync callback registered');
+    },
+    
+    unregisterSyncStatusCallback: function() {
+        this.syncStatusCallback = null;
+        console.log('[App] Offline sync callback unregistered');
+    },
+    
+    notifySyncStatus: function(type, payload) {
+        console.log('[App] Offline sync update:', type, payload);
+        
+        if (type === 'USER_DATA_PURGED' && payload?.discardedWrites > 0) {
+            globalThis.setlistStudioApp.announceToScreenReader(
+                `${payload.discardedWrites} offline ${payload.discardedWrites === 1 ? 'edit was' : 'edits were'} discarded before syncing`,
+                'assertive');
+        } else if (type === 'USER_DATA_SUSPENDED' && payload?.pendingWrites > 0) {
+            globalThis.setlistStudioApp.announceToScreenReader(
+                'Your session expired. Sign in again to sync the edits you made offline.', 'assertive');
+        }
+        
+        if (this.syncStatusCallback) {
+            this.syncStatusCallback.invokeMethodAsync('OnOfflineSyncStatusChanged', type, payload);
+        }
+    },
+    
+    // Check if app is currently offline - the server probe, not just navigator.onLine
+    isOffline: function() {
+        return globalThis.setlistStudioApp.connectivity.state === 'offline';
+    },
+    
+    // Show offline notification to users
+    showOfflineReady: function() {
+        // This will be called when offline capabilities are ready
+        // Can be hooked up to MudBlazor notifications later
+        console.log('[App] Offline mode ready for performance use');
+    }
+};
+
+// Connectivity monitor - navigator.onLine stays true on captive-portal venue Wi-Fi, so the
+// server's health endpoint is probed as well, with a timeout and exponential backoff, and
+// the Blazor circuit is watched through the reconnection handler. States:
+//   'online'   - the server answers and the circuit is connected
+//   'degraded' - a probe failed or was slow, or the circuit is reconnecting
+//   'offline'  - no network, or the server has stopped answering
+// Subscribers are JS functions or DotNetObjectReferences whose OnConnectivityChanged(status)
+// method is invoked; each is called straight away with the current status, then on every change.
+globalThis.setlistStudioApp.connectivity = {
+    probeUrl: '/api/health/simple',
+    probeTimeoutMs: 5000,
+    slowProbeMs: 2000,
+    heartbeatMs: 30000,
+    minBackoffMs: 2000,
+    maxBackoffMs: 60000,
+    offlineAfterFailures: 2,
+    
+    state: navigator.onLine ? 'online' : 'offline',
+    circuit: 'connected',
+    failures: 0,
+    latencyMs: null,
+    lastCheckedAt: null,
+    subscribers: new Map(),
+    nextSubscriberId: 1,
+    timer: null,
+    probing: null,
+    
+    start: function() {
+        globalThis.addEventListener('online', () => this.checkNow());
+        globalThis.addEventListener('offline', () => {
+            clearTimeout(this.timer);
+            this.update();
+        });
+        
+        // The heartbeat pauses while the app is in the background
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.checkNow();
+            }
+        });
+        
+        this.applyState();
+        this.checkNow();
+    },
+    
+    getStatus: function() {
+        return {
+            state: this.state,
+            browserOnline: navigator.onLine,
+            circuit: this.circuit,
+            failures: this.failures,
+            latencyMs: this.latencyMs,
+            lastCheckedAt: this.lastCheckedAt
+        };
+    },
+    
+    isOnline: function() {
+        return this.state !== 'offline';
+    },
+    
+    subscribe: function(subscriber) {
+        const id = this.nextSubscriberId++;
+        this.subscribers.set(id, subscriber);
+        this.notify(id, subscriber, this.getStatus());
+        return id;
+    },
+    
+    unsubscribe: function(id) {
+        this.subscribers.delete(id);
+    },
+    
+    // 'connected', 'reconnecting' or 'disconnected' - from the Blazor reconnection handler
+    setCircuitState: function(circuit) {
+        this.circuit = circuit;
+        if (circuit === 'connected') {
+            this.checkNow();
+        } else {
+            this.update();
+        }
+    },
+    
+    checkNow: function() {
+        clearTimeout(this.timer);
+        return this.probe();
+    },
+    
+    probe: function() {
+        if (!this.probing) {
+            this.probing = this.runProbe().finally(() => {
+                this.probing = null;
+            });
+        }
+        return this.probing;
+    },
+    
+    runProbe: async function() {
+        if (!navigator.onLine) {
+            this.update();
+            return this.getStatus();
+        }
+        
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), this.probeTimeoutMs);
+        const startedAt = performance.now();
+        let reachable = false;
+        
+        try {
+            // A captive portal answers with a redirect or its own page, never our health JSON
+            const response = await fetch(this.probeUrl, {
+                cache: 'no-store',
+                redirect: 'manual',
+                credentials: 'same-origin',
+                headers: { 'Accept': 'application/json' },
+                signal: controller.signal
+            });
+            
+            if (response.status === 429) {
+                // Rate limited - the server is there, it just wants fewer probes
+                reachable = true;
+            } else if (response.ok) {
+                const health = await response.json().catch(() => null);
+                reachable = health?.status === 'Healthy';
+            }
+        } catch (error) {
+            console.log('[App] Connectivity probe failed:', error.name === 'AbortError' ? 'timed out' : error.message);
+        } finally {
+            clearTimeout(timeout);
+        }
+        
+        this.latencyMs = Math.round(performance.now() - startedAt);
+        this.failures = reachable ? 0 : this.failures + 1;
+        this.lastCheckedAt = new Date().toISOString();
+        
+        this.update();
+        this.scheduleProbe();
+        return this.getStatus();
+    },
+    
+    // Heartbeat while healthy, exponential backoff while failing
+    scheduleProbe: function() {
+        clearTimeout(this.timer);
+        if (!navigator.onLine || document.visibilityState === 'hidden') return;
+        
+        const delay = this.failures === 0
+            ? this.heartbeatMs
+            : Math.min(this.maxBackoffMs, this.minBackoffMs * 2 ** (this.failures - 1));
+        this.timer = setTimeout(() => this.probe(), delay);
+    },
+    
+    computeState: function() {
+        if (!navigator.onLine || this.failures >= this.offlineAfterFailures) return 'offline';
+        if (this.failures > 0 || this.circuit !== 'connected' || this.latencyMs > this.slowProbeMs) return 'degraded';
+        return 'online';
+    },
+    
+    update: function() {
+        const previous = this.state;
+        this.state = this.computeState();
+        
+        if (this.state === previous) return;
+        
+        console.log(`[App] Connectivity ${previous} -> ${this.state}`);
+        this.applyState();
+        
+        if (this.state === 'offline') {
+            globalThis.setlistStudioApp.announceToScreenReader('Connection lost - cached setlists are still available', 'assertive');
+        } else if (previous === 'offline') {
+            globalThis.setlistStudioApp.announceToScreenReader('Back online');
+            
+            // Push edits made while offline to the server
+            globalThis.setlistStudioApp.offline.replayQueuedWrites();
+        }
+        
+        const status = this.getStatus();
+        for (const [id, subscriber] of this.subscribers) {
+            this.notify(id, subscriber, status);
+        }
+    },
+    
+    applyState: function() {
+        document.body.classList.toggle('online-mode', this.state === 'online');
+        document.body.classList.toggle('degraded-mode', this.state === 'degraded');
+        document.body.classList.toggle('offline-mode', this.state === 'offline');
+    },
+    
+    notify: function(id, subscriber, status) {
+        try {
+            if (typeof subscriber === 'function') {
+                subscriber(status);
+            } else if (subscriber?.invokeMethodAsync) {
+                globalThis.setlistStudioApp.invokeDotNetCallback(subscriber, 'OnConnectivityChanged', [status], () => {
+                    if (this.subscribers.get(id) === subscriber) {
+                        this.subscribers.delete(id);
+                    }
+                });
+            }
+        } catch (error) {
+            console.warn('[App] Connectivity subscriber failed:', error.message);
+        }
+    }
+};
+
+// Stage view - full-screen performance view of one setlist: the current song in huge type
+// with its key, tempo and notes, and a preview of the next song. It works entirely from
+// cached data (the Setlists page's copy in localStorage, then the service worker cache),
+// so it keeps working when the server and the Blazor circuit are gone.
+// Navigation: tap the left or right third, swipe, or use the keyboard and page-turner pedals,
+// which arrive as MobileEnhancements 'performanceAction' events. Each song change dispatches
+// a 'stageSongChanged' event on document ({ setlistId, index, count, song }).
+globalThis.setlistStudioApp.stage = {
+    storageKey: 'stageView',
+    swipeThreshold: 60,
+    setlistId: null,
+    setlistName: '',
+    songs: [],
+    index: 0,
+    element: null,
+    focusTrap: null,
+    
+    setup: function() {
+        document.addEventListener('performanceAction', (e) => {
+            if (!this.isOpen()) return;
+            
+            e.preventDefault();
+            this.handleAction(e.detail.action);
+        });
+        
+        document.addEventListener('fullscreenchange', () => this.updateFullscreenButton());
+        document.addEventListener('autoScrollChanged', (e) => this.updateScrollControls(e.detail));
+        document.addEventListener('metronomeChanged', (e) => this.updateMetronomeControls(e.detail));
+        
+        // Full screen and rotation change how much of the notes fit on screen
+        globalThis.addEventListener('resize', () => {
+            if (this.isOpen()) {
+                globalThis.setlistStudioApp.autoScroll.notify();
+            }
+        });
+    },
+    
+    isOpen: function() {
+        return !!this.element?.isConnected;
+    },
+    
+    // Open the stage view for a setlist; index defaults to where the musician left off.
+    // Resolves with false when the setlist isn't cached on this device
+    open: async function(setlistId = this.getDefaultSetlistId(), options = {}) {
+        if (setlistId === null || setlistId === undefined) return false;
+        
+        const wasOpen = this.isOpen();
+        const element = this.element || this.createElement();
+        if (!wasOpen) {
+            element.classList.add('stage-loading');
+            document.body.appendChild(element);
+            document.body.classList.add('stage-open');
+            this.focusTrap = globalThis.setlistStudioApp.trapFocus(element, {
+                initialFocus: '.stage-title',
+                onEscape: () => this.close()
+            });
+            
+            // Browsers only allow full screen from inside the tap that opened the view
+            if (options.fullscreen !== false) {
+                this.requestFullscreen(element);
+            }
+        }
+        
+        const setlist = await this.loadSetlist(String(setlistId));
+        element.classList.remove('stage-loading');
+        
+        if (!setlist || setlist.songs.length === 0) {
+            console.warn('[App] Setlist not available offline for the stage view:', setlistId);
+            if (!wasOpen) {
+                this.close();
+            }
+            globalThis.setlistStudioApp.announceToScreenReader('This setlist is not saved on this device yet');
+            return false;
+        }
+        
+        const saved = this.loadPosition();
+        this.setlistId = String(setlistId);
+        this.setlistName = setlist.name;
+        this.songs = setlist.songs;
+        
+        if (!document.body.classList.contains('performance-mode')) {
+            globalThis.mobileEnhancements?.enablePerformanceMode();
+        }
+        
+        this.goTo(options.index ?? (saved?.setlistId === this.setlistId ? saved.index : 0), true);
+        return true;
+    },
+    
+    close: function() {
+        if (!this.isOpen()) return;
+        
+        this.exitFullscreen();
+        globalThis.setlistStudioApp.autoScroll.detach();
+        this.focusTrap?.release();
+        this.focusTrap = null;
+        this.element.remove();
+        document.body.classList.remove('stage-open');
+        document.dispatchEvent(new CustomEvent('stageClosed', { detail: { setlistId: this.setlistId } }));
+    },
+    
+    next: function() {
+        this.goTo(this.index + 1);
+    },
+    
+    previous: function() {
+        this.goTo(this.index - 1);
+    },
+    
+    goTo: function(index, force = false) {
+        if (this.songs.length === 0) return;
+        
+        const target = Math.min(Math.max(index, 0), this.songs.length - 1);
+        if (target === this.index && !force) return;
+        
+        this.index = target;
+        this.render();
+        this.savePosition();
+        globalThis.setlistStudioApp.autoScroll.attach(this.element.querySelector('.stage-notes'), this.songs[target]);
+        
+        const song = this.songs[target];
+        globalThis.setlistStudioApp.announceToScreenReader(
+            `Song ${target + 1} of ${this.songs.length}: ${[song.title, this.describeSong(song)].filter(Boolean).join(', ')}`);
+        document.dispatchEvent(new CustomEvent('stageSongChanged', {
+            detail: { setlistId: this.setlistId, index: target, count: this.songs.length, song }
+        }));
+    },
+    
+    getCurrentSong: function() {
+        return this.isOpen() ? this.songs[this.index] ?? null : null;
+    },
+    
+    handleAction: function(action) {
+        switch (action) {
+            case 'next-song':
+                this.next();
+                break;
+            case 'previous-song':
+                this.previous();
+                break;
+            case 'scroll-down':
+            case 'scroll-up':
+                this.scrollNotes(action === 'scroll-down' ? 1 : -1);
+                break;
+            case 'toggle-scroll':
+                globalThis.setlistStudioApp.autoScroll.toggle();
+                break;
+            case 'count-in':
+                this.countIn();
+                break;
+            case 'toggle-metronome':
+                globalThis.setlistStudioApp.metronome.toggle();
+                break;
+        }
+    },
+    
+    // Count the band in, then let the notes scroll with the song
+    countIn: async function() {
+        if (await globalThis.setlistStudioApp.metronome.countIn() && this.isOpen()) {
+            globalThis.setlistStudioApp.autoScroll.start();
+        }
+    },
+    
+    scrollNotes: function(direction) {
+        const notes = this.element.querySelector('.stage-notes');
+        
+        // A smooth scroll would be cut short by auto-scroll's next frame
+        const instant = document.body.classList.contains('reduced-motion') ||
+            globalThis.setlistStudioApp.autoScroll.state === 'running';
+        notes.scrollBy({
+            top: direction * notes.clientHeight * 0.6,
+            behavior: instant ? 'auto' : 'smooth'
+        });
+    },
+    
+    // ===== CACHED DATA =====
+    
+    loadSetlist: async function(setlistId) {
+        const local = this.readLocalSetlist(setlistId);
+        if (local?.songs.length > 0) {
+            return local;
+        }
+        
+        const cached = await globalThis.setlistStudioApp.offline.getCachedSetlist(setlistId);
+        if (cached) {
+            return this.normalizeSetlist(cached.setlist, cached.songs, cached.songIds);
+        }
+        
+        // Not saved on this device yet - while online, fetch it (the service worker caches the response)
+        return (await this.fetchSetlist(setlistId)) ?? local;
+    },
+    
+    fetchSetlist: async function(setlistId) {
+        if (!navigator.onLine) return null;
+        
+        try {
+            const response = await fetch(`/api/setlists/${encodeURIComponent(setlistId)}`, {
+                headers: { 'Accept': 'application/json' }
+            });
+            return response.ok ? this.normalizeSetlist(await response.json()) : null;
+        } catch {
+            return null;
+        }
+    },
+    
+    // The Setlists page keeps its last list in localStorage (PascalCase, straight from System.Text.Json)
+    readLocalSetlist: function(setlistId) {
+        try {
+            const setlists = JSON.parse(localStorage.getItem('cached_setlists')) || [];
+            const setlist = setlists.find(item => String(this.field(item, 'id')) === setlistId);
+            return setlist ? this.normalizeSetlist(setlist) : null;
+        } catch {
+            return null;
+        }
+    },
+    
+    // Setlist entries win over the song's own key and tempo, as in the offline viewer
+    normalizeSetlist: function(setlist, songs = [], songIds = []) {
+        const songsById = new Map(songs.map(song => [String(this.field(song, 'id')), song]));
+        let entries = this.field(setlist, 'setlistSongs') ?? this.field(setlist, 'songs') ?? [];
+        
+        if (entries.length === 0) {
+            entries = songIds.map((songId, index) => ({ songId, position: index + 1 }));
+        }
+        
+        const normalized = [...entries]
+            .sort((a, b) => (this.field(a, 'position') ?? 0) - (this.field(b, 'position') ?? 0))
+            .map(entry => {
+                const songId = this.field(entry, 'songId') ?? this.field(this.field(entry, 'song'), 'id');
+                const song = this.field(entry, 'song') ?? songsById.get(String(songId)) ?? {};
+                
+                return {
+                    songId: songId === undefined ? null : String(songId),
+                    title: this.field(song, 'title') || '',
+                    artist: this.field(song, 'artist') || '',
+                    key: this.field(entry, 'customKey') || this.field(song, 'musicalKey') || null,
+                    bpm: this.field(entry, 'customBpm') ?? this.field(song, 'bpm') ?? null,
+                    durationSeconds: this.field(song, 'durationSeconds') ?? null,
+                    notes: this.field(song, 'notes') || '',
+                    performanceNotes: this.field(entry, 'performanceNotes') || '',
+                    transitionNotes: this.field(entry, 'transitionNotes') || '',
+                    isEncore: !!this.field(entry, 'isEncore'),
+                    isOptional: !!this.field(entry, 'isOptional')
+                };
+            });
+        
+        return { name: this.field(setlist, 'name') || '', songs: normalized };
+    },
+    
+    // Reads camelCase (API, service worker) or PascalCase (localStorage) properties
+    field: function(source, name) {
+        return source?.[name] ?? source?.[name[0].toUpperCase() + name.slice(1)];
+    },
+    
+    getDefaultSetlistId: function() {
+        return this.loadPosition()?.setlistId ?? null;
+    },
+    
+    loadPosition: function() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey));
+        } catch {
+            return null;
+        }
+    },
+    
+    savePosition: function() {
+        localStorage.setItem(this.storageKey, JSON.stringify({ setlistId: this.setlistId, index: this.index }));
+    },
+    
+    // ===== RENDERING =====
+    
+    createElement: function() {
+        const element = document.createElement('div');
+        element.id = 'stageView';
+        element.className = 'stage-view';
+        element.setAttribute('role', 'dialog');
+        element.setAttribute('aria-modal', 'true');
+        element.setAttribute('aria-label', 'Stage view');
+        element.innerHTML = `
+            <div class="stage-toolbar">
+                <span class="stage-position"></span>
+                <span class="stage-setlist-name"></span>
+                <span class="stage-scroll-controls">
+                    <button type="button" class="stage-scroll-slower" aria-label="Scroll slower">−</button>
+                    <button type="button" class="stage-scroll-toggle" aria-pressed="false">▶ Scroll</button>
+                    <button type="button" class="stage-scroll-faster" aria-label="Scroll faster">+</button>
+                </span>
+                <span class="stage-metronome-controls">
+                    <button type="button" class="stage-count-in" aria-pressed="false">🥁 Count-in</button>
+                    <button type="button" class="stage-metronome-toggle" aria-pressed="false">♩ Click</button>
+                    <button type="button" class="stage-metronome-mode" aria-pressed="false" aria-label="Silent stage: flash instead of clicking">🔊</button>
+                    <select class="stage-metronome-pattern" aria-label="Accent pattern"></select>
+                </span>
+                <button type="button" class="stage-fullscreen" aria-pressed="false">⛶ Full screen</button>
+                <button type="button" class="stage-close" aria-label="Close stage view">✕</button>
+            </div>
+            <div class="stage-current">
+                <h2 class="stage-title" tabindex="-1"></h2>
+                <p class="stage-artist"></p>
+                <div class="stage-meta"></div>
+                <div class="stage-notes performance-notes" tabindex="0" aria-label="Song notes"></div>
+            </div>
+            <div class="stage-next"></div>
+        `;
+        
+        element.querySelector('.stage-close').addEventListener('click', () => this.close());
+        element.querySelector('.stage-fullscreen').addEventListener('click', () => {
+            if (document.fullscreenElement === element) {
+                this.exitFullscreen();
+            } else {
+                this.requestFullscreen(element);
+            }
+        });
+        
+        const autoScroll = globalThis.setlistStudioApp.autoScroll;
+        element.querySelector('.stage-scroll-toggle').addEventListener('click', () => autoScroll.toggle());
+        element.querySelector('.stage-scroll-slower').addEventListener('click', () => autoScroll.adjustSpeed(-0.1));
+        element.querySelector('.stage-scroll-faster').addEventListener('click', () => autoScroll.adjustSpeed(0.1));
+        
+        const metronome = globalThis.setlistStudioApp.metronome;
+        const pattern = element.querySelector('.stage-metronome-pattern');
+        for (const name of Object.keys(metronome.patterns)) {
+            pattern.append(new Option(name, name));
+        }
+        pattern.addEventListener('change', () => metronome.setPattern(pattern.value));
+        element.querySelector('.stage-count-in').addEventListener('click', () => {
+            if (metronome.state === 'count-in') {
+                metronome.stop();
+            } else {
+                this.countIn();
+            }
+        });
+        element.querySelector('.stage-metronome-toggle').addEventListener('click', () => metronome.toggle());
+        element.querySelector('.stage-metronome-mode').addEventListener('click', () =>
+            metronome.setMode(metronome.getSettings().mode === 'visual' ? 'sound' : 'visual'));
+        
+        this.setupTapZones(element);
+        this.setupSwipe(element);
+        
+        element.addEventListener('keydown', (e) => {
+            if (e.key === 'Home' || e.key === 'End') {
+                e.preventDefault();
+                this.goTo(e.key === 'Home' ? 0 : this.songs.length - 1);
+            }
+        });
+        
+        this.element = element;
+        this.updateMetronomeControls(metronome.getState());
+        return element;
+    },
+    
+    // Left third goes back, right third goes forward, the middle pauses and resumes auto-scroll
+    setupTapZones: function(element) {
+        element.addEventListener('click', (e) => {
+            if (e.target.closest('button, a, input, select, textarea')) return;
+            
+            const ratio = e.clientX / (element.clientWidth || globalThis.innerWidth);
+            if (ratio < 1 / 3) {
+                this.previous();
+            } else if (ratio > 2 / 3) {
+                this.next();
+            } else {
+                globalThis.setlistStudioApp.autoScroll.toggle();
+            }
+        });
+    },
+    
+    setupSwipe: function(element) {
+        let startX = 0;
+        let startY = 0;
+        
+        element.addEventListener('touchstart', (e) => {
+            startX = e.touches[0].clientX;
+            startY = e.touches[0].clientY;
+        }, { passive: true });
+        
+        element.addEventListener('touchend', (e) => {
+            const deltaX = e.changedTouches[0].clientX - startX;
+            const deltaY = e.changedTouches[0].clientY - startY;
+            
+            if (Math.abs(deltaX) > this.swipeThreshold && Math.abs(deltaX) > Math.abs(deltaY)) {
+                // The tap zones would otherwise see the click that follows
+                e.preventDefault();
+                if (deltaX < 0) {
+                    this.next();
+                } else {
+                    this.previous();
+                }
+            }
+        });
+    },
+    
+    render: function() {
+        const song = this.songs[this.index];
+        const nextSong = this.songs[this.index + 1];
+        const query = (selector) => this.element.querySelector(selector);
+        
+        query('.stage-position').textContent = `${this.index + 1} / ${this.songs.length}`;
+        query('.stage-setlist-name').textContent = this.setlistName;
+        query('.stage-title').textContent = song.title || 'Song not available offline';
+        query('.stage-artist').textContent = song.artist;
+        
+        const meta = query('.stage-meta');
+        meta.replaceChildren();
+        if (song.key) meta.append(this.createText('stage-key', `Key: ${song.key}`));
+        if (song.bpm) meta.append(this.createText('stage-bpm', `${song.bpm} BPM`));
+        if (song.isEncore) meta.append(this.createText('stage-flag', 'Encore'));
+        if (song.isOptional) meta.append(this.createText('stage-flag', 'Optional'));
+        
+        const notes = query('.stage-notes');
+        notes.replaceChildren();
+        if (song.performanceNotes) notes.append(this.createText('stage-performance-notes', `📝 ${song.performanceNotes}`, 'p'));
+        if (song.notes) notes.append(this.createText('stage-song-notes', song.notes, 'p'));
+        if (song.transitionNotes) notes.append(this.createText('stage-transition-notes', `➡️ ${song.transitionNotes}`, 'p'));
+        notes.hidden = notes.childElementCount === 0;
+        notes.scrollTop = 0;
+        
+        query('.stage-next').textContent = nextSong
+            ? `Next: ${[nextSong.title || 'Song not available offline', this.describeSong(nextSong)].filter(Boolean).join(' · ')}`
+            : 'End of set';
+    },
+    
+    updateScrollControls: function(status) {
+        if (!this.isOpen()) return;
+        
+        const toggle = this.element.querySelector('.stage-scroll-toggle');
+        const running = status.state === 'running';
+        
+        this.element.querySelector('.stage-scroll-controls').hidden = !status.canScroll;
+        toggle.setAttribute('aria-pressed', String(running));
+        toggle.textContent = `${running ? '⏸ Pause' : '▶ Scroll'} ${status.factor.toFixed(1)}×`;
+        toggle.setAttribute('aria-label', `${running ? 'Pause' : 'Start'} auto-scroll, speed ${status.factor.toFixed(1)} times`);
+    },
+    
+    updateMetronomeControls: function(status) {
+        if (!this.element) return;
+        
+        const query = (selector) => this.element.querySelector(selector);
+        const countIn = query('.stage-count-in');
+        const toggle = query('.stage-metronome-toggle');
+        const mode = query('.stage-metronome-mode');
+        
+        countIn.setAttribute('aria-pressed', String(status.state === 'count-in'));
+        countIn.textContent = status.state === 'count-in' ? '🥁 Counting...' : '🥁 Count-in';
+        toggle.setAttribute('aria-pressed', String(status.state === 'running'));
+        toggle.textContent = `♩ ${status.bpm}`;
+        toggle.setAttribute('aria-label', `${status.state === 'running' ? 'Stop' : 'Start'} metronome at ${status.bpm} BPM`);
+        mode.setAttribute('aria-pressed', String(status.mode === 'visual'));
+        mode.textContent = status.mode === 'visual' ? '💡' : '🔊';
+        query('.stage-metronome-pattern').value = status.pattern;
+    },
+    
+    createText: function(className, text, tagName = 'span') {
+        const badge = document.createElement(tagName);
+        badge.className = className;
+        badge.textContent = text;
+        return badge;
+    },
+    
+    describeSong: function(song) {
+        return [song.key ? `key ${song.key}` : null, song.bpm ? `${song.bpm} BPM` : null].filter(Boolean).join(', ');
+    },
+    
+    // ===== FULLSCREEN API =====
+    
+    requestFullscreen: async function(element) {
+        try {
+            if (element.requestFullscreen && document.fullscreenEnabled !== false) {
+                await element.requestFullscreen({ navigationUI: 'hide' });
+            }
+        } catch (error) {
+            // Not allowed outside a user gesture, or not supported (iPhone) - the view still fills the screen
+            console.log('[App] Full screen not available:', error.message);
+        }
+    },
+    
+    exitFullscreen: function() {
+        if (document.fullscreenElement && document.fullscreenElement === this.element) {
+            document.exitFullscreen().catch(() => {});
+        }
+    },
+    
+    updateFullscreenButton: function() {
+        const button = this.element?.querySelector('.stage-fullscreen');
+        if (button) {
+            const isFullscreen = document.fullscreenElement === this.element;
+            button.setAttribute('aria-pressed', String(isFullscreen));
+            button.textContent = isFullscreen ? '⛶ Exit full screen' : '⛶ Full screen';
+        }
+    }
+};
+
+// Auto-scroll - scrolls a song's notes (lyrics, chord charts) while both hands are on the
+// instrument. Speed comes from the song: the scrollable notes spread over DurationSeconds,
+// or one chart line per four bars at the song's BPM, times a per-song factor the musician
+// sets by hand (remembered in localStorage). With the reduced-motion class the notes move
+// a page at a time instead of gliding. State changes dispatch 'autoScrollChanged' on
+// document ({ state, factor, speed, canScroll }); state is 'stopped', 'running', 'paused'
+// or 'finished'.
+globalThis.setlistStudioApp.autoScroll = {
+    storageKey: 'autoScrollSpeeds',
+    defaultSpeed: 20,
+    beatsPerLine: 16,
+    minFactor: 0.25,
+    maxFactor: 4,
+    element: null,
+    song: null,
+    state: 'stopped',
+    factor: 1,
+    position: 0,
+    applied: 0,
+    lastTime: null,
+    holding: false,
+    frame: null,
+    detachListeners: null,
+    
+    // Follow a new notes element and song - starts stopped at the top
+    attach: function(element, song) {
+        this.stop();
+        this.detachListeners?.();
+        
+        this.element = element;
+        this.song = song;
+        this.factor = this.loadFactor(song?.songId) ?? 1;
+        element.scrollTop = 0;
+        
+        // Hands on the notes hold the scroll where they put it
+        const hold = () => { this.holding = true; };
+        const release = () => {
+            this.holding = false;
+            this.position = this.applied = element.scrollTop;
+        };
+        element.addEventListener('touchstart', hold, { passive: true });
+        element.addEventListener('touchend', release, { passive: true });
+        element.addEventListener('touchcancel', release, { passive: true });
+        this.detachListeners = () => {
+            element.removeEventListener('touchstart', hold);
+            element.removeEventListener('touchend', release);
+            element.removeEventListener('touchcancel', release);
+        };
+        
+        this.notify();
+    },
+    
+    detach: function() {
+        this.stop();
+        this.detachListeners?.();
+        this.detachListeners = null;
+        this.element = null;
+        this.song = null;
+    },
+    
+    getDistance: function() {
+        return this.element ? this.element.scrollHeight - this.element.clientHeight : 0;
+    },
+    
+    canScroll: function() {
+        return this.getDistance() > 0;
+    },
+    
+    // Base speed in pixels per second, before the musician's factor
+    computeSpeed: function() {
+        const bpm = Number(this.song?.bpm) || 0;
+        const duration = Number(this.song?.durationSeconds) || 0;
+        
+        if (duration > 0) {
+            // Leave the first two bars for the intro
+            const leadIn = bpm > 0 ? 8 * 60 / bpm : 0;
+            return this.getDistance() / Math.max(duration - leadIn, 10);
+        }
+        
+        if (bpm > 0) {
+            const lineHeight = Number.parseFloat(getComputedStyle(this.element).lineHeight) || 32;
+            return lineHeight * bpm / (this.beatsPerLine * 60);
+        }
+        
+        return this.defaultSpeed;
+    },
+    
+    getSpeed: function() {
+        return this.element ? this.computeSpeed() * this.factor : 0;
+    },
+    
+    start: function() {
+        if (!this.canScroll()) return false;
+        
+        if (this.state === 'finished') {
+            this.element.scrollTop = 0;
+        }
+        
+        this.position = this.applied = this.element.scrollTop;
+        this.lastTime = null;
+        this.state = 'running';
+        this.frame = requestAnimationFrame((time) => this.tick(time));
+        this.notify();
+        return true;
+    },
+    
+    pause: function() {
+        if (this.state !== 'running') return;
+        
+        cancelAnimationFrame(this.frame);
+        this.state = 'paused';
+        this.notify();
+    },
+    
+    stop: function() {
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+        this.holding = false;
+        
+        if (this.state !== 'stopped') {
+            this.state = 'stopped';
+            this.notify();
+        }
+    },
+    
+    // Tap and pedal control: start, pause, resume - or start again from the top when finished
+    toggle: function() {
+        if (this.state === 'running') {
+            this.pause();
+            globalThis.setlistStudioApp.announceToScreenReader('Auto-scroll paused');
+            return true;
+        }
+        
+        const started = this.start();
+        if (started) {
+            globalThis.setlistStudioApp.announceToScreenReader('Auto-scroll started');
+        }
+        return started;
+    },
+    
+    tick: function(time) {
+        if (this.state !== 'running' || !this.element?.isConnected) return;
+        
+        const element = this.element;
+        const elapsed = this.lastTime === null ? 0 : Math.min((time - this.lastTime) / 1000, 0.1);
+        this.lastTime = time;
+        
+        // The musician scrolled by hand (pedal, wheel) - carry on from there
+        if (Math.abs(element.scrollTop - this.applied) > 2) {
+            this.position = this.applied = element.scrollTop;
+        }
+        
+        if (!this.holding) {
+            this.position = Math.min(this.position + this.getSpeed() * elapsed, this.getDistance());
+            
+            if (document.body.classList.contains('reduced-motion')) {
+                // A page at a time, without animation
+                const page = element.clientHeight * 0.8;
+                if (this.position - element.scrollTop >= page || this.position >= this.getDistance()) {
+                    element.scrollTop = Math.min(element.scrollTop + page, this.position);
+                }
+            } else {
+                element.scrollTop = this.position;
+            }
+            this.applied = element.scrollTop;
+        }
+        
+        if (element.scrollTop >= this.getDistance() - 1) {
+            this.state = 'finished';
+            this.notify();
+            return;
+        }
+        
+        this.frame = requestAnimationFrame((next) => this.tick(next));
+    },
+    
+    // Set by hand: factor 1 is the song's own speed, remembered per song
+    setFactor: function(factor) {
+        this.factor = Math.min(Math.max(Math.round(factor * 100) / 100, this.minFactor), this.maxFactor);
+        this.saveFactor(this.song?.songId, this.factor);
+        this.notify();
+    },
+    
+    adjustSpeed: function(step) {
+        this.setFactor(this.factor + step);
+    },
+    
+    loadFactor: function(songId) {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey))?.[songId] ?? null;
+        } catch {
+            return null;
+        }
+    },
+    
+    saveFactor: function(songId, factor) {
+        if (songId === null || songId === undefined) return;
+        
+        let speeds = {};
+        try {
+            speeds = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch {
+            // Start over
+        }
+        
+        if (factor === 1) {
+            delete speeds[songId];
+        } else {
+            speeds[songId] = factor;
+        }
+        localStorage.setItem(this.storageKey, JSON.stringify(speeds));
+    },
+    
+    notify: function() {
+        document.dispatchEvent(new CustomEvent('autoScrollChanged', {
+            detail: { state: this.state, factor: this.factor, speed: this.getSpeed(), canScroll: this.canScroll() }
+        }));
+    }
+};
+
+// Metronome - clicks the active song's tempo (SetlistSong.CustomBpm over Song.Bpm, from the
+// stage view) through Web Audio, or gives an N-bar count-in before the song starts.
+// Beats follow an accent pattern of 'accent', 'beat' and 'rest' steps. In 'visual' mode
+// nothing is heard: the stage edge flashes with the beat number instead, for silent stages
+// and in-ear rigs; a count-in always flashes so the whole band can see it. Each beat can
+// also pulse through MobileEnhancements.triggerHapticFeedback.
+// Settings persist in localStorage. Blazor drives it through start/countIn/stop/setTempo/
+// setPattern/setMode; changes are announced with a 'metronomeChanged' document event
+// (never per beat - that stays in the browser).
+globalThis.setlistStudioApp.metronome = {
+    storageKey: 'metronomeSettings',
+    lookaheadMs: 25,
+    scheduleAheadSeconds: 0.1,
+    minBpm: 30,
+    maxBpm: 300,
+    patterns: {
+        'four': ['accent', 'beat', 'beat', 'beat'],
+        'backbeat': ['beat', 'accent', 'beat', 'accent'],
+        'waltz': ['accent', 'beat', 'beat'],
+        'two': ['accent', 'beat'],
+        'six-eight': ['accent', 'beat', 'beat', 'accent', 'beat', 'beat'],
+        'even': ['beat', 'beat', 'beat', 'beat']
+    },
+    defaultSettings: {
+        pattern: 'four',
+        mode: 'sound',
+        haptic: true,
+        countInBars: 1
+    },
+    state: 'stopped',
+    bpm: 120,
+    audioContext: null,
+    timer: null,
+    nextBeatTime: 0,
+    beatIndex: 0,
+    beatsRemaining: null,
+    countInDone: null,
+    settings: null,
+    flashTimer: null,
+    
+    setup: function() {
+        // Follow the song on stage: a running click changes tempo, a count-in is abandoned
+        document.addEventListener('stageSongChanged', (e) => {
+            const bpm = Number(e.detail.song.bpm);
+            if (this.state === 'count-in') {
+                this.stop();
+            } else if (this.state === 'running' && bpm > 0) {
+                this.setTempo(bpm);
+            }
+        });
+        document.addEventListener('stageClosed', () => this.stop());
+        
+        // Changed in another tab - read them again on next use
+        globalThis.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) {
+                this.settings = null;
+            }
+        });
+    },
+    
+    // Read once and kept in memory - the scheduler asks for them on every tick
+    getSettings: function() {
+        if (!this.settings) {
+            try {
+                this.settings = { ...this.defaultSettings, ...JSON.parse(localStorage.getItem(this.storageKey)) };
+            } catch {
+                this.settings = { ...this.defaultSettings };
+            }
+        }
+        return this.settings;
+    },
+    
+    saveSettings: function(changes) {
+        this.settings = { ...this.getSettings(), ...changes };
+        localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+        this.notify();
+        return this.settings;
+    },
+    
+    // Tempo of the song on stage, or the last one used
+    getSongTempo: function() {
+        return Number(globalThis.setlistStudioApp.stage.getCurrentSong()?.bpm) || this.bpm;
+    },
+    
+    getPattern: function() {
+        const pattern = this.getSettings().pattern;
+        return Array.isArray(pattern) && pattern.length > 0 ? pattern : this.patterns[pattern] || this.patterns.four;
+    },
+    
+    // Click until stopped
+    start: function(bpm = this.getSongTempo()) {
+        this.stop();
+        this.setTempo(bpm);
+        this.run('running', null);
+        globalThis.setlistStudioApp.announceToScreenReader(`Metronome started at ${this.bpm} BPM`);
+        return this.getState();
+    },
+    
+    // Count in N bars, then stop. Resolves true on the downbeat of the song, false if stopped first
+    countIn: function(bars = this.getSettings().countInBars, bpm = this.getSongTempo()) {
+        this.stop();
+        this.setTempo(bpm);
+        
+        return new Promise((resolve) => {
+            this.countInDone = resolve;
+            this.run('count-in', Math.max(1, Math.round(bars)) * this.getPattern().length);
+        });
+    },
+    
+    stop: function() {
+        clearInterval(this.timer);
+        this.timer = null;
+        
+        const countInDone = this.countInDone;
+        this.countInDone = null;
+        countInDone?.(false);
+        
+        // A count-in cut short must not report its leftover beats
+        this.beatsRemaining = null;
+        
+        if (this.state !== 'stopped') {
+            this.state = 'stopped';
+            this.notify();
+        }
+    },
+    
+    toggle: function() {
+        if (this.state === 'stopped') {
+            this.start();
+        } else {
+            this.stop();
+            globalThis.setlistStudioApp.announceToScreenReader('Metronome stopped');
+        }
+        return this.getState();
+    },
+    
+    setTempo: function(bpm) {
+        const tempo = Number(bpm);
+        if (!Number.isFinite(tempo) || tempo <= 0) return;
+        
+        this.bpm = Math.min(Math.max(Math.round(tempo), this.minBpm), this.maxBpm);
+        this.notify();
+    },
+    
+    // A name from patterns, or an array of 'accent', 'beat' and 'rest' steps
+    setPattern: function(pattern) {
+        if (!Array.isArray(pattern) && !this.patterns[pattern]) return;
+        this.saveSettings({ pattern });
+    },
+    
+    // 'sound' or 'visual' (flash only); a running metronome carries on in the new mode
+    setMode: function(mode) {
+        if (mode !== 'sound' && mode !== 'visual') return;
+        
+        this.saveSettings({ mode });
+        if (this.state === 'running') {
+            this.stop();
+            this.run('running', null);
+        }
+    },
+    
+    setHaptic: function(enabled) {
+        this.saveSettings({ haptic: !!enabled });
+    },
+    
+    setCountInBars: function(bars) {
+        this.saveSettings({ countInBars: Math.min(Math.max(Math.round(bars), 1), 4) });
+    },
+    
+    getState: function() {
+        const settings = this.getSettings();
+        return {
+            state: this.state,
+            bpm: this.bpm,
+            pattern: Array.isArray(settings.pattern) ? 'custom' : settings.pattern,
+            mode: settings.mode,
+            haptic: settings.haptic,
+            countInBars: settings.countInBars,
+            beatsRemaining: this.beatsRemaining
+        };
+    },
+    
+    // ===== SCHEDULING =====
+    
+    // Beats are scheduled slightly ahead on the audio clock, so timer jitter never
+    // reaches the click; flashes and haptics are timed to land with them
+    run: function(state, totalBeats) {
+        const settings = this.getSettings();
+        this.audioContext = settings.mode === 'sound' ? this.getAudioContext() : null;
+        
+        this.state = state;
+        this.beatIndex = 0;
+        this.beatsRemaining = totalBeats;
+        this.nextBeatTime = this.now() + 0.05;
+        this.timer = setInterval(() => this.schedule(), this.lookaheadMs);
+        this.notify();
+        this.schedule();
+    },
+    
+    now: function() {
+        return this.audioContext ? this.audioContext.currentTime : performance.now() / 1000;
+    },
+    
+    getAudioContext: function() {
+        const AudioContextClass = globalThis.AudioContext || globalThis.webkitAudioContext;
+        if (!AudioContextClass) {
+            console.warn('[App] Web Audio not supported - metronome flashes only');
+            return null;
+        }
+        
+        this.sharedAudioContext = this.sharedAudioContext || new AudioContextClass();
+        
+        // Browsers start audio suspended until a tap or key press - this call is inside one
+        if (this.sharedAudioContext.state === 'suspended') {
+            this.sharedAudioContext.resume();
+        }
+        return this.sharedAudioContext;
+    },
+    
+    schedule: function() {
+        const pattern = this.getPattern();
+        const settings = this.getSettings();
+        
+        while (this.timer !== null && this.nextBeatTime < this.now() + this.scheduleAheadSeconds) {
+            if (this.beatsRemaining === 0) {
+                this.finishCountIn(this.nextBeatTime);
+                return;
+            }
+            
+            const position = this.beatIndex % pattern.length;
+            const level = pattern[position];
+            
+            if (level !== 'rest') {
+                if (this.audioContext) {
+                    this.playClick(level, this.nextBeatTime);
+                }
+                this.pulse(level, position + 1, this.nextBeatTime, settings);
+            }
+            
+            this.beatIndex++;
+            if (this.beatsRemaining !== null) {
+                this.beatsRemaining--;
+            }
+            this.nextBeatTime += 60 / this.bpm;
+        }
+    },
+    
+    finishCountIn: function(downbeatTime) {
+        clearInterval(this.timer);
+        this.timer = null;
+        
+        const countInDone = this.countInDone;
+        
+        setTimeout(() => {
+            // Stopped or restarted in the meantime - stop() has already resolved it
+            if (this.countInDone !== countInDone || this.state !== 'count-in') return;
+            
+            this.countInDone = null;
+            this.state = 'stopped';
+            this.beatsRemaining = null;
+            this.notify();
+            document.dispatchEvent(new CustomEvent('metronomeCountInComplete', { detail: { bpm: this.bpm } }));
+            countInDone(true);
+        }, Math.max(0, (downbeatTime - this.now()) * 1000));
+    },
+    
+    playClick: function(level, time) {
+        const context = this.audioContext;
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        
+        oscillator.frequency.value = level === 'accent' ? 1600 : 1000;
+        gain.gain.setValueAtTime(level === 'accent' ? 1 : 0.6, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+        
+        oscillator.connect(gain);
+        gain.connect(context.destination);
+        oscillator.start(time);
+        oscillator.stop(time + 0.06);
+    },
+    
+    pulse: function(level, beatNumber, time, settings) {
+        setTimeout(() => {
+            if (this.state === 'stopped') return;
+            
+            if (settings.mode === 'visual' || this.state === 'count-in') {
+                this.flash(level, beatNumber);
+            }
+            if (settings.haptic) {
+                globalThis.mobileEnhancements?.triggerHapticFeedback(level === 'accent' ? 'heavy' : 'light');
+            }
+        }, Math.max(0, (time - this.now()) * 1000));
+    },
+    
+    // Flashes the edge of the screen with the beat number - inside the stage view when it's
+    // open, since only the full-screen element is visible in full screen
+    flash: function(level, beatNumber) {
+        const host = globalThis.setlistStudioApp.stage.isOpen() ? globalThis.setlistStudioApp.stage.element : document.body;
+        let overlay = host.querySelector(':scope > .metronome-flash');
+        
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.className = 'metronome-flash';
+            overlay.setAttribute('aria-hidden', 'true');
+            host.appendChild(overlay);
+        }
+        
+        // Switched on and off rather than faded, so it still shows with reduced motion
+        clearTimeout(this.flashTimer);
+        overlay.textContent = String(beatNumber);
+        overlay.classList.toggle('flash-accent', level === 'accent');
+        overlay.classList.toggle('flash-beat', level !== 'accent');
+        this.flashTimer = setTimeout(() => overlay.classList.remove('flash-beat', 'flash-accent'), 120);
+    },
+    
+    notify: function() {
+        document.dispatchEvent(new CustomEvent('metronomeChanged', { detail: this.getState() }));
+    }
+};
+
+// Fallback for browsers without periodic background sync: refresh pinned setlists
+// when the app comes back into view and the schedule says a refresh is due
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible' && navigator.onLine) {
+        globalThis.setlistStudioApp.offline.refreshPinnedSetlists();
+    }
+});
+
+// Blazor starts here (autostart="false" in _Layout) with the app's own reconnection handler
+if (globalThis.Blazor?.start) {
+    const reconnection = globalThis.setlistStudioApp.reconnection;
+    globalThis.Blazor.start({
+        reconnectionHandler: {
+            onConnectionDown: (options, error) => reconnection.onConnectionDown(options, error),
+            onConnectionUp: () => reconnection.onConnectionUp()
+        }
+    });
+}
@@ -2,10 +2,12 @@
 // Safe JavaScript functions for Blazor interop without CSP violations
 
 globalThis.blazorHelpers = {
-    // Safe connection status check
+    // Safe connection status check - false when the server can't be reached,
+    // even if navigator.onLine says otherwise (captive portals)
     getConnectionStatus: function() {
         try {
-            return navigator.onLine === true;
+            const connectivity = globalThis.setlistStudioApp?.connectivity;
+            return connectivity ? connectivity.isOnline() : navigator.onLine === true;
         } catch (error) {
             console.warn('[BlazorHelpers] Connection status check failed:', error.message);
             return true; // Assume online if check fails
@@ -7,6 +7,7 @@ class MobileEnhancements {
         this.gestureThreshold = 50;
         this.swipeThreshold = 100;
         this.pullRefreshThreshold = 80;
+        this.pedalDebounceMs = 350;
         
         this.init();
     }
@@ -17,6 +18,7 @@ class MobileEnhancements {
         this.initializePullToRefresh();
         this.initializeFloatingActionButton();
         this.initializePerformanceMode();
+        this.initializePedalInput();
         this.addHapticFeedback();
         this.optimizeForMobile();
         
@@ -25,9 +27,22 @@ class MobileEnhancements {
             setTimeout(() => this.handleOrientationChange(), 100);
         });
         
-        // Listen for connection changes
-        globalThis.addEventListener('online', () => this.handleConnectionChange(true));
-        globalThis.addEventListener('offline', () => this.handleConnectionChange(false));
+        // Listen for connection changes - the app's connectivity monitor also catches
+        // captive portals, where navigator.onLine stays true
+        const connectivity = globalThis.setlistStudioApp?.connectivity;
+        if (connectivity) {
+            let wasOnline = null;
+            connectivity.subscribe((status) => {
+                const isOnline = status.state !== 'offline';
+                if (wasOnline !== null && isOnline !== wasOnline) {
+                    this.handleConnectionChange(isOnline);
+                }
+                wasOnline = isOnline;
+            });
+        } else {
+            globalThis.addEventListener('online', () => this.handleConnectionChange(true));
+            globalThis.addEventListener('offline', () => this.handleConnectionChange(false));
+        }
     }
     
     // ===== TOUCH TARGET ENHANCEMENTS =====
@@ -103,6 +118,7 @@ class MobileEnhancements {
     
     triggerSwipeAction(container, direction) {
         const event = new CustomEvent('swipe', {
+            bubbles: true,
             detail: { direction, container }
         });
         container.dispatchEvent(event);
@@ -282,6 +298,8 @@ class MobileEnhancements {
     // ===== PERFORMANCE MODE =====
     
     initializePerformanceMode() {
+        this.initializeWakeLock();
+        
         // Auto-enable performance mode when offline
         if (!this.checkConnectionStatus()) {
             this.enablePerformanceMode();
@@ -299,14 +317,18 @@ class MobileEnhancements {
         localStorage.setItem('performanceMode', 'enabled');
         
         this.showPerformanceModeNotification('Performance Mode Enabled');
+        this.acquireWakeLock();
     }
     
     disablePerformanceMode() {
+        globalThis.setlistStudioApp?.stage.close();
         document.body.classList.remove('performance-mode', 'performance-optimized');
         document.documentElement.style.removeProperty('--performance-mode');
         
         localStorage.setItem('performanceMode', 'disabled');
         
+        this.releaseWakeLock();
+        
         this.showPerformanceModeNotification('Performance Mode Disabled');
     }
     
@@ -335,22 +357,23 @@ class MobileEnhancements {
             transition: all 0.2s ease;
         `;
         
-        toggle.addEventListener('click', () => {
-            const isPerformanceMode = document.body.classList.contains('performance-mode');
-            if (isPerformanceMode) {
-                this.disablePerformanceMode();
-            } else {
-                this.enablePerformanceMode();
-            }
-        });
+        toggle.addEventListener('click', () => MobileEnhancements.togglePerformanceMode());
         
         document.body.appendChild(toggle);
+        this.updateWakeLockIndicator();
     }
     
     showPerformanceModeNotification(message) {
+        // A newer message replaces the one on screen rather than stacking on top of it
+        for (const previous of document.querySelectorAll('.performance-notification')) {
+            previous.remove();
+        }
+        
         const notification = document.createElement('div');
         notification.className = 'performance-notification';
+        notification.setAttribute('aria-hidden', 'true');
         notification.textContent = message;
+        globalThis.setlistStudioApp?.announceToScreenReader(message);
         notification.style.cssText = `
             position: fixed;
             top: 20px;
@@ -374,6 +397,430 @@ class MobileEnhancements {
         }, 3000);
     }
     
+    // ===== SCREEN WAKE LOCK =====
+    
+    // Phones dim and lock mid-song unless something holds the screen awake. Performance mode
+    // holds a Screen Wake Lock; the browser drops it whenever the page is hidden, so it is
+    // re-acquired when the page becomes visible again. States shown on the toggle:
+    // 'off', 'pending', 'active', 'released' (dropped by the browser), 'unsupported', 'denied'
+    
+    initializeWakeLock() {
+        this.wakeLock = null;
+        this.wakeLockState = 'off';
+        this.wakeLockRequest = null;
+        this.wakeLockWarningShown = false;
+        
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && document.body.classList.contains('performance-mode')) {
+                this.acquireWakeLock();
+            }
+        });
+    }
+    
+    async acquireWakeLock() {
+        if (this.wakeLock || this.wakeLockRequest) return;
+        
+        if (!('wakeLock' in navigator)) {
+            this.setWakeLockState('unsupported');
+            return;
+        }
+        
+        // Browsers refuse while the page is hidden - visibilitychange tries again
+        if (document.visibilityState !== 'visible') {
+            this.setWakeLockState('released');
+            return;
+        }
+        
+        this.setWakeLockState('pending');
+        
+        try {
+            this.wakeLockRequest = navigator.wakeLock.request('screen');
+            const sentinel = await this.wakeLockRequest;
+            
+            // Performance mode was turned off while the request was pending
+            if (!document.body.classList.contains('performance-mode')) {
+                await sentinel.release();
+                this.setWakeLockState('off');
+                return;
+            }
+            
+            this.wakeLock = sentinel;
+            sentinel.addEventListener('release', () => {
+                if (this.wakeLock !== sentinel) return;
+                
+                this.wakeLock = null;
+                this.setWakeLockState(document.body.classList.contains('performance-mode') ? 'released' : 'off');
+            });
+            
+            this.setWakeLockState('active');
+        } catch (error) {
+            // NotAllowedError: battery saver, a permissions policy, or the page lost visibility
+            console.warn('[MobileEnhancements] Screen wake lock unavailable:', error.message);
+            this.setWakeLockState('denied');
+        } finally {
+            this.wakeLockRequest = null;
+        }
+    }
+    
+    async releaseWakeLock() {
+        const sentinel = this.wakeLock;
+        this.wakeLock = null;
+        this.setWakeLockState('off');
+        
+        try {
+            await sentinel?.release();
+        } catch (error) {
+            console.warn('[MobileEnhancements] Screen wake lock release failed:', error.message);
+        }
+    }
+    
+    setWakeLockState(state) {
+        if (this.wakeLockState === state) return;
+        
+        this.wakeLockState = state;
+        this.updateWakeLockIndicator();
+        
+        // Tell the musician once that the screen may go to sleep after all
+        if ((state === 'unsupported' || state === 'denied') && !this.wakeLockWarningShown) {
+            this.wakeLockWarningShown = true;
+            this.showPerformanceModeNotification('Screen may sleep - turn off auto-lock in your display settings');
+        }
+    }
+    
+    static get wakeLockLabels() {
+        return {
+            off: 'Performance Mode off',
+            pending: 'Performance Mode on - keeping the screen awake...',
+            active: 'Performance Mode on - screen stays awake',
+            released: 'Performance Mode on - screen lock paused',
+            unsupported: 'Performance Mode on - this browser cannot keep the screen awake',
+            denied: 'Performance Mode on - the screen may sleep (blocked by the device)'
+        };
+    }
+    
+    // The toggle shows performance mode and whether the screen is being held awake
+    updateWakeLockIndicator() {
+        const toggle = document.querySelector('#performanceModeToggle');
+        if (!toggle) return;
+        
+        const isPerformanceMode = document.body.classList.contains('performance-mode');
+        const state = isPerformanceMode ? this.wakeLockState : 'off';
+        const label = MobileEnhancements.wakeLockLabels[state] || MobileEnhancements.wakeLockLabels.off;
+        
+        toggle.dataset.wakeLock = state;
+        toggle.title = `${label} - tap to toggle`;
+        toggle.setAttribute('aria-label', `Toggle Performance Mode. ${label}`);
+        toggle.setAttribute('aria-pressed', String(isPerformanceMode));
+        toggle.innerHTML = state === 'active' ? '🎭<span aria-hidden="true" style="position: absolute; right: -2px; bottom: -2px; font-size: 0.7rem;">☀️</span>' : '🎭';
+        toggle.style.boxShadow = {
+            active: '0 0 0 3px #4caf50',
+            pending: '0 0 0 3px rgba(255, 255, 255, 0.5)',
+            released: '0 0 0 3px #ff9800',
+            unsupported: '0 0 0 3px #ff9800',
+            denied: '0 0 0 3px #ff9800'
+        }[state] || 'none';
+    }
+    
+    getWakeLockState() {
+        return document.body.classList.contains('performance-mode') ? this.wakeLockState : 'off';
+    }
+    
+    // ===== PEDAL INPUT =====
+    
+    // Bluetooth page turners and foot pedals are keyboards that send PageDown/PageUp,
+    // arrow keys or Space. In performance mode each press becomes a performance action:
+    // a cancelable 'performanceAction' event on document ({ action, key }) that pages
+    // such as the stage view handle, with a fallback that scrolls notes and drives the
+    // auto-scroll and metronome.
+    
+    static get pedalActions() {
+        return {
+            'next-song': 'Next song',
+            'previous-song': 'Previous song',
+            'scroll-down': 'Scroll notes down',
+            'scroll-up': 'Scroll notes up',
+            'toggle-scroll': 'Pause or resume auto-scroll',
+            'count-in': 'Count in the song',
+            'toggle-metronome': 'Start or stop the metronome'
+        };
+    }
+    
+    static get defaultPedalMapping() {
+        return {
+            PageDown: 'next-song',
+            ArrowRight: 'next-song',
+            PageUp: 'previous-song',
+            ArrowLeft: 'previous-song',
+            ArrowDown: 'scroll-down',
+            ' ': 'scroll-down',
+            ArrowUp: 'scroll-up'
+        };
+    }
+    
+    // Space and the arrow keys keep their meaning on focused controls - moving through
+    // MudBlazor menus, selects, sliders and tabs. Only PageUp/PageDown, which no control
+    // uses, always reach the pedal mapping. Buttons are not exempt: tapping a stage view
+    // toolbar button leaves it focused, and the pedals must still turn pages (Enter still
+    // activates a focused button).
+    static get pedalExemptTargets() {
+        return 'a[href], summary, [role="checkbox"], [role="switch"], [role="slider"], ' +
+            '[role="menu"], [role="menubar"], [role="listbox"], [role="tablist"], [role="radiogroup"], [role="tree"], [role="grid"]';
+    }
+    
+    initializePedalInput() {
+        this.pedalMapping = this.loadPedalMapping();
+        this.lastPedalActionAt = 0;
+        this.pedalLearn = null;
+        this.performanceActionCallback = null;
+        
+        document.addEventListener('keydown', (e) => this.handlePedalKey(e));
+        
+        // Learn mode gets the key before anything else on the page can act on it
+        document.addEventListener('keydown', (e) => {
+            if (this.pedalLearn) {
+                this.capturePedalKey(e);
+            }
+        }, true);
+        
+        globalThis.setlistStudioApp?.registerShortcut('Alt+P', () => this.showPedalSetup(), {
+            id: 'pedal-setup',
+            description: 'Set up a page-turner pedal'
+        });
+    }
+    
+    loadPedalMapping() {
+        try {
+            return JSON.parse(localStorage.getItem('pedalMapping')) || MobileEnhancements.defaultPedalMapping;
+        } catch {
+            return MobileEnhancements.defaultPedalMapping;
+        }
+    }
+    
+    savePedalMapping(mapping) {
+        this.pedalMapping = mapping;
+        localStorage.setItem('pedalMapping', JSON.stringify(mapping));
+    }
+    
+    resetPedalMapping() {
+        this.pedalMapping = MobileEnhancements.defaultPedalMapping;
+        localStorage.removeItem('pedalMapping');
+    }
+    
+    handlePedalKey(e) {
+        if (!document.body.classList.contains('performance-mode')) return;
+        if (e.defaultPrevented || e.ctrlKey || e.altKey || e.metaKey) return;
+        if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+        if (e.key !== 'PageUp' && e.key !== 'PageDown' && e.target.closest?.(MobileEnhancements.pedalExemptTargets)) return;
+        // The stage view is a dialog that wants the pedals; any other dialog keeps its keys
+        if (document.querySelector('.mud-dialog, [role="dialog"][aria-modal="true"]:not(#stageView)')) return;
+        
+        const action = this.pedalMapping[e.key];
+        if (!action) return;
+        
+        e.preventDefault();
+        
+        // Held pedals auto-repeat and some pedals send two keys per press - one stomp, one action
+        const now = Date.now();
+        if (e.repeat || now - this.lastPedalActionAt < this.pedalDebounceMs) return;
+        this.lastPedalActionAt = now;
+        
+        this.triggerPerformanceAction(action, e.key);
+    }
+    
+    triggerPerformanceAction(action, key = null) {
+        const event = new CustomEvent('performanceAction', {
+            cancelable: true,
+            detail: { action, key }
+        });
+        document.dispatchEvent(event);
+        
+        if (this.performanceActionCallback) {
+            const callback = this.performanceActionCallback;
+            globalThis.setlistStudioApp?.invokeDotNetCallback(callback, 'OnPerformanceAction', [action], () => {
+                if (this.performanceActionCallback === callback) {
+                    this.performanceActionCallback = null;
+                }
+            });
+        } else if (!event.defaultPrevented) {
+            this.applyPerformanceAction(action);
+        }
+        
+        this.triggerHapticFeedback('light');
+    }
+    
+    // Blazor components that own the performance view take over the pedal actions
+    registerPerformanceActionCallback(dotNetRef) {
+        this.performanceActionCallback = dotNetRef;
+    }
+    
+    unregisterPerformanceActionCallback() {
+        this.performanceActionCallback = null;
+    }
+    
+    applyPerformanceAction(action) {
+        if (action === 'toggle-scroll') {
+            globalThis.setlistStudioApp?.autoScroll.toggle();
+            return;
+        }
+        
+        if (action === 'count-in') {
+            globalThis.setlistStudioApp?.metronome.countIn();
+            return;
+        }
+        
+        if (action === 'toggle-metronome') {
+            globalThis.setlistStudioApp?.metronome.toggle();
+            return;
+        }
+        
+        if (action === 'scroll-down' || action === 'scroll-up') {
+            const notes = document.querySelector('.performance-current .performance-notes, .performance-notes');
+            const scroller = notes && notes.scrollHeight > notes.clientHeight ? notes : (document.scrollingElement || document.documentElement);
+            const distance = (scroller === notes ? notes.clientHeight : globalThis.innerHeight) * 0.6;
+            scroller.scrollBy({
+                top: action === 'scroll-down' ? distance : -distance,
+                behavior: document.body.classList.contains('reduced-motion') ? 'auto' : 'smooth'
+            });
+        }
+        
+        // next-song / previous-song need a song list - the stage view handles them itself
+    }
+    
+    // Learn mode: the next key pressed is mapped to action. Resolves with the key,
+    // or null when cancelled with Escape
+    learnPedalKey(action) {
+        this.pedalLearn?.resolve(null);
+        
+        return new Promise((resolve) => {
+            this.pedalLearn = { action, resolve };
+        });
+    }
+    
+    capturePedalKey(e) {
+        if (['Control', 'Alt', 'Shift', 'Meta', 'Tab'].includes(e.key)) return;
+        
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        
+        const { action, resolve } = this.pedalLearn;
+        this.pedalLearn = null;
+        
+        if (e.key === 'Escape') {
+            resolve(null);
+            return;
+        }
+        
+        this.savePedalMapping({ ...this.pedalMapping, [e.key]: action });
+        this.lastPedalActionAt = Date.now();
+        this.triggerHapticFeedback('success');
+        resolve(e.key);
+    }
+    
+    describePedalKey(key) {
+        return key === ' ' ? 'Space' : key.replace(/^Arrow/, 'Arrow ');
+    }
+    
+    showPedalSetup() {
+        if (document.querySelector('#pedalSetup')) return;
+        
+        const panel = document.createElement('div');
+        panel.id = 'pedalSetup';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-modal', 'true');
+        panel.setAttribute('aria-label', 'Pedal setup');
+        panel.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            width: min(420px, calc(100vw - 32px));
+            max-height: calc(100vh - 32px);
+            overflow-y: auto;
+            background: rgba(0, 0, 0, 0.9);
+            color: white;
+            padding: 20px;
+            border-radius: 12px;
+            z-index: 9999;
+        `;
+        
+        let focusTrap = null;
+        const close = () => {
+            this.pedalLearn?.resolve(null);
+            focusTrap?.release();
+            panel.remove();
+        };
+        
+        const render = () => {
+            panel.replaceChildren();
+            
+            const title = document.createElement('h2');
+            title.textContent = '🦶 Pedal Setup';
+            title.style.cssText = 'margin: 0 0 8px; font-size: 1.2rem;';
+            
+            const hint = document.createElement('p');
+            hint.textContent = 'Press Learn, then press the pedal you want to use for that action.';
+            hint.style.cssText = 'margin: 0 0 16px; opacity: 0.8; font-size: 0.9rem;';
+            panel.append(title, hint);
+            
+            for (const [action, label] of Object.entries(MobileEnhancements.pedalActions)) {
+                const keys = Object.keys(this.pedalMapping).filter(key => this.pedalMapping[key] === action);
+                
+                const row = document.createElement('div');
+                row.style.cssText = 'display: flex; align-items: center; justify-content: space-between; gap: 12px; margin-bottom: 8px;';
+                
+                const text = document.createElement('span');
+                text.textContent = `${label}: ${keys.map(key => this.describePedalKey(key)).join(', ') || 'not set'}`;
+                
+                const learn = document.createElement('button');
+                learn.type = 'button';
+                learn.className = 'mobile-touch-target';
+                learn.textContent = 'Learn';
+                learn.setAttribute('aria-label', `Learn pedal for ${label}`);
+                learn.addEventListener('click', async () => {
+                    learn.textContent = 'Press pedal...';
+                    const key = await this.learnPedalKey(action);
+                    if (!panel.isConnected) return;
+                    
+                    render();
+                    panel.querySelector(`[aria-label="Learn pedal for ${label}"]`)?.focus();
+                    if (key) {
+                        this.showPerformanceModeNotification(`${this.describePedalKey(key)} → ${label}`);
+                    }
+                });
+                
+                row.append(text, learn);
+                panel.appendChild(row);
+            }
+            
+            const reset = document.createElement('button');
+            reset.type = 'button';
+            reset.className = 'mobile-touch-target';
+            reset.textContent = 'Reset';
+            reset.addEventListener('click', () => {
+                this.resetPedalMapping();
+                render();
+            });
+            
+            const done = document.createElement('button');
+            done.type = 'button';
+            done.className = 'mobile-touch-target';
+            done.textContent = 'Done';
+            done.addEventListener('click', close);
+            
+            const actions = document.createElement('div');
+            actions.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px; margin-top: 16px;';
+            actions.append(reset, done);
+            panel.appendChild(actions);
+        };
+        
+        render();
+        document.body.appendChild(panel);
+        focusTrap = globalThis.setlistStudioApp?.trapFocus(panel, { onEscape: close });
+        if (!focusTrap) {
+            panel.querySelector('button')?.focus();
+        }
+    }
+    
     // ===== HAPTIC FEEDBACK =====
     
     addHapticFeedback() {
@@ -430,7 +877,9 @@ class MobileEnhancements {
     
     showConnectionNotification(message) {
         const notification = document.createElement('div');
+        notification.setAttribute('aria-hidden', 'true');
         notification.textContent = message;
+        globalThis.setlistStudioApp?.announceToScreenReader(message);
         notification.style.cssText = `
             position: fixed;
             bottom: 80px;
@@ -481,10 +930,15 @@ class MobileEnhancements {
             <button onclick="location.href='/setlists'" title="Setlists">📝</button>
             <button onclick="MobileEnhancements.quickAction('search')" title="Search">🔍</button>
             <button onclick="MobileEnhancements.togglePerformanceMode()" title="Performance Mode">🎭</button>
+            <button onclick="MobileEnhancements.showPedalSetup()" title="Pedal Setup">🦶</button>
         `;
         document.body.appendChild(toolbar);
     }
     
+    static showPedalSetup() {
+        globalThis.mobileEnhancements?.showPedalSetup();
+    }
+    
     static togglePerformanceMode() {
         const isPerformanceMode = document.body.classList.contains('performance-mode');
         if (isPerformanceMode) {
@@ -547,9 +1001,13 @@ class MobileEnhancements {
         });
     }
     
-    // Connection status check without using navigator.onLine property directly
+    // Connection status check - prefers the app's connectivity monitor over navigator.onLine
     checkConnectionStatus() {
         try {
+            const connectivity = globalThis.setlistStudioApp?.connectivity;
+            if (connectivity) {
+                return connectivity.isOnline();
+            }
             return navigator.onLine !== false;
         } catch (error) {
             console.warn('[MobileEnhancements] Connection status check failed:', error.message);
@@ -0,0 +1,466 @@
+// Offline Setlist Viewer for Setlist Studio
+// Reads setlists and songs straight from Cache Storage and IndexedDB, so a gig can
+// go ahead when neither the server nor the Blazor circuit is reachable
+
+globalThis.offlineViewer = {
+    // Must match the cache and database names used by service-worker.js
+    apiCachePrefix: 'setlist-studio-api-',
+    databaseName: 'setlist-studio-offline',
+
+    setlists: new Map(),
+    songs: new Map(),
+    pinned: new Map(),
+    isOnline: navigator.onLine,
+
+    // Where to go when the connection is back - the page the app handed off from, if any
+    returnUrl: '/',
+    handOff: null,
+
+    initialize: async function() {
+        this.readHandOff();
+        document.getElementById('retryConnection').addEventListener('click', () => this.retryConnection());
+        document.getElementById('backToSetlists').addEventListener('click', () => this.showLibrary());
+        globalThis.addEventListener('hashchange', () => this.render());
+
+        this.monitorConnection();
+
+        try {
+            await this.loadLibrary();
+        } catch (error) {
+            console.error('[OfflineViewer] Failed to read cached setlists:', error);
+        }
+
+        this.render();
+        console.log('Setlist Studio Offline Mode - Ready for Performance');
+    },
+
+    // ===== LOADING CACHED DATA =====
+
+    loadLibrary: async function() {
+        const db = await this.openDatabase();
+
+        try {
+            const session = db ? await this.readStore(db, 'session') : [];
+            const userKey = session.find(entry => entry.key === 'currentUser')?.userKey;
+
+            // Signed out, or a session that expired - nothing here is known to be this visitor's
+            if (!userKey) return;
+
+            await this.readCachedResponses(userKey);
+
+            if (db) {
+                for (const record of await this.readStore(db, 'search-index')) {
+                    if (record.type === 'song') {
+                        this.addSong(record.record);
+                    } else if (record.type === 'setlist') {
+                        this.addSetlist(record.record);
+                    }
+                }
+
+                for (const record of await this.readStore(db, 'pinned-setlists')) {
+                    this.pinned.set(String(record.setlistId), record);
+                    this.addSetlist({ id: record.setlistId, name: record.name ?? undefined });
+                }
+            }
+        } finally {
+            db?.close();
+        }
+    },
+
+    readCachedResponses: async function(userKey) {
+        if (!('caches' in globalThis)) return;
+
+        // Only the signed-in user's partition - another musician's library stays hidden
+        const cacheNames = (await caches.keys()).filter(name => name.startsWith(`${this.apiCachePrefix}${userKey}.`));
+
+        for (const cacheName of cacheNames) {
+            const cache = await caches.open(cacheName);
+
+            for (const request of await cache.keys()) {
+                const pathname = new URL(request.url).pathname;
+                const data = await this.readJson(await cache.match(request));
+                if (!data) continue;
+
+                if (pathname.startsWith('/api/songs')) {
+                    this.extractEntities(data, 'songs').forEach(song => this.addSong(song));
+                } else if (pathname.startsWith('/api/setlists')) {
+                    this.extractEntities(data, 'setlists').forEach(setlist => this.addSetlist(setlist));
+                }
+            }
+        }
+    },
+
+    openDatabase: function() {
+        return new Promise(resolve => {
+            if (!('indexedDB' in globalThis)) {
+                resolve(null);
+                return;
+            }
+
+            // Open without a version so the service worker keeps ownership of the schema
+            const openRequest = indexedDB.open(this.databaseName);
+
+            openRequest.onupgradeneeded = () => {
+                // The database doesn't exist yet - don't create an empty one
+                openRequest.transaction.abort();
+            };
+            openRequest.onsuccess = () => {
+                const db = openRequest.result;
+                db.onversionchange = () => db.close();
+                resolve(db);
+            };
+            openRequest.onerror = () => resolve(null);
+        });
+    },
+
+    readStore: function(db, storeName) {
+        if (!db.objectStoreNames.contains(storeName)) {
+            return Promise.resolve([]);
+        }
+
+        return new Promise(resolve => {
+            const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result ?? []);
+            request.onerror = () => resolve([]);
+        });
+    },
+
+    readJson: async function(response) {
+        try {
+            return response ? await response.json() : null;
+        } catch {
+            return null;
+        }
+    },
+
+    // Lists arrive as { songs: [...] }, plain arrays, or a single entity
+    extractEntities: function(data, listProperty) {
+        if (Array.isArray(data)) return data;
+        if (Array.isArray(data[listProperty])) return data[listProperty];
+        return data.id === undefined ? [] : [data];
+    },
+
+    addSong: function(song) {
+        if (song?.id === undefined || song.id === null) return;
+
+        const id = String(song.id);
+        this.songs.set(id, { ...this.songs.get(id), ...song });
+    },
+
+    addSetlist: function(setlist) {
+        if (setlist?.id === undefined || setlist.id === null) return;
+
+        // Summaries from list responses never drop the song order of a cached detail response
+        const id = String(setlist.id);
+        const merged = { ...this.setlists.get(id) };
+        for (const [field, value] of Object.entries(setlist)) {
+            if (value !== undefined && value !== null) {
+                merged[field] = value;
+            }
+        }
+
+        this.setlists.set(id, merged);
+
+        for (const entry of this.getSetlistEntries(merged)) {
+            if (entry.song) {
+                this.addSong(entry.song);
+            }
+        }
+    },
+
+    getSetlistEntries: function(setlist) {
+        const entries = setlist.setlistSongs ?? setlist.songs ?? [];
+        return Array.isArray(entries) ? entries : [];
+    },
+
+    // ===== RENDERING =====
+
+    render: function() {
+        const setlistId = this.getSelectedSetlistId();
+
+        if (setlistId && this.setlists.has(setlistId)) {
+            this.renderSetlist(this.setlists.get(setlistId));
+        } else {
+            this.renderLibrary();
+        }
+    },
+
+    // Selected via '#setlist=<id>', or the setlist page the browser failed to load
+    getSelectedSetlistId: function() {
+        const hashMatch = /^#setlist=(.+)$/.exec(globalThis.location.hash);
+        if (hashMatch) return decodeURIComponent(hashMatch[1]);
+
+        const pathMatch = /^\/setlists\/(\d+)/.exec(globalThis.location.pathname);
+        return pathMatch ? pathMatch[1] : null;
+    },
+
+    showLibrary: function() {
+        if (/^\/setlists\/\d+/.test(globalThis.location.pathname)) {
+            globalThis.history.pushState(null, '', '/setlists');
+        }
+
+        globalThis.location.hash = '';
+        this.render();
+    },
+
+    renderLibrary: function() {
+        const list = document.getElementById('setlistList');
+        const message = document.getElementById('libraryMessage');
+
+        document.getElementById('setlistDetail').hidden = true;
+        document.getElementById('setlistLibrary').hidden = false;
+        document.title = 'Offline - Setlist Studio';
+        list.replaceChildren();
+
+        const setlists = [...this.setlists.values()].sort((a, b) =>
+            Number(this.pinned.has(String(b.id))) - Number(this.pinned.has(String(a.id))) ||
+            String(a.name ?? '').localeCompare(String(b.name ?? '')));
+
+        message.textContent = setlists.length === 0
+            ? 'No setlists are saved on this device yet. Open or download a setlist for offline use while connected.'
+            : 'Choose a setlist to view it offline.';
+
+        for (const setlist of setlists) {
+            const button = this.createElement('button', 'setlist-link');
+            button.type = 'button';
+            button.append(
+                this.createElement('span', 'setlist-name', setlist.name || `Setlist ${setlist.id}`),
+                this.createElement('span', 'setlist-meta', this.describeSetlist(setlist))
+            );
+            button.addEventListener('click', () => {
+                globalThis.location.hash = `setlist=${encodeURIComponent(setlist.id)}`;
+            });
+
+            const item = document.createElement('li');
+            item.append(button);
+            list.append(item);
+        }
+    },
+
+    renderSetlist: function(setlist) {
+        const title = document.getElementById('setlistTitle');
+        const songList = document.getElementById('songList');
+
+        document.getElementById('setlistLibrary').hidden = true;
+        document.getElementById('setlistDetail').hidden = false;
+        document.title = `${setlist.name || 'Setlist'} - Offline - Setlist Studio`;
+
+        title.textContent = setlist.name || `Setlist ${setlist.id}`;
+        document.getElementById('setlistMeta').textContent = [
+            setlist.venue,
+            setlist.performanceDate ? new Date(setlist.performanceDate).toLocaleDateString() : null,
+            this.describeSetlist(setlist)
+        ].filter(Boolean).join(' · ');
+
+        songList.replaceChildren();
+        const entries = this.getOrderedEntries(setlist);
+
+        if (entries.length === 0) {
+            songList.append(this.createElement('li', 'empty-state',
+                'The songs in this setlist were not saved for offline use.'));
+        }
+
+        entries.forEach((entry, index) => songList.append(this.renderSong(entry, index + 1)));
+        title.focus();
+    },
+
+    getOrderedEntries: function(setlist) {
+        const entries = this.getSetlistEntries(setlist);
+
+        if (entries.length > 0) {
+            return [...entries].sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+        }
+
+        // Pinned setlists remember their song order even when the response omits it
+        const pinnedSongIds = this.pinned.get(String(setlist.id))?.songIds ?? [];
+        return pinnedSongIds.map((songId, index) => ({ songId, position: index + 1 }));
+    },
+
+    renderSong: function(entry, position) {
+        const songId = entry.songId ?? entry.song?.id ?? (entry.title ? entry.id : undefined);
+        const song = { ...this.songs.get(String(songId)), ...entry.song, ...(entry.title ? entry : {}) };
+        const item = this.createElement('li', 'song-item');
+
+        item.append(this.createElement('span', 'song-position', String(entry.position ?? position)));
+
+        const heading = this.createElement('div', song.title ? 'song-title' : 'song-title song-missing',
+            song.title || 'Song not available offline');
+        if (song.artist) {
+            heading.append(' ', this.createElement('span', 'song-artist', `- ${song.artist}`));
+        }
+        item.append(heading);
+
+        // Performance overrides win over the song's own key and tempo
+        const details = this.createElement('div', 'song-details');
+        const key = entry.customKey || song.musicalKey;
+        const bpm = entry.customBpm ?? song.bpm;
+
+        if (key) details.append(this.createElement('span', 'song-badge', `Key: ${key}`));
+        if (bpm) details.append(this.createElement('span', 'song-badge', `${bpm} BPM`));
+        if (song.durationSeconds) details.append(this.createElement('span', 'song-badge', this.formatDuration(song.durationSeconds)));
+        if (entry.isEncore) details.append(this.createElement('span', 'song-badge badge-encore', 'Encore'));
+        if (entry.isOptional) details.append(this.createElement('span', 'song-badge badge-optional', 'Optional'));
+        item.append(details);
+
+        if (entry.performanceNotes) {
+            item.append(this.createElement('div', 'song-notes', `📝 ${entry.performanceNotes}`));
+        }
+        if (entry.transitionNotes) {
+            item.append(this.createElement('div', 'song-notes', `➡️ ${entry.transitionNotes}`));
+        }
+
+        return item;
+    },
+
+    describeSetlist: function(setlist) {
+        const songCount = this.getOrderedEntries(setlist).length || setlist.songCount;
+        const parts = songCount ? [`${songCount} ${songCount === 1 ? 'song' : 'songs'}`] : [];
+
+        if (this.pinned.has(String(setlist.id))) {
+            parts.push('Downloaded');
+        }
+
+        return parts.join(' · ');
+    },
+
+    formatDuration: function(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+    },
+
+    createElement: function(tagName, className, text) {
+        const element = document.createElement(tagName);
+        element.className = className;
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        return element;
+    },
+
+    // ===== CONNECTION MONITORING =====
+
+    // The app hands off here (?handoff=1&return=<path>) when its Blazor circuit can't reconnect
+    readHandOff: function() {
+        const params = new URLSearchParams(globalThis.location.search);
+        const returnUrl = params.get('return');
+
+        // Same-origin paths only - never an open redirect
+        if (returnUrl && returnUrl.startsWith('/') && !returnUrl.startsWith('//') && !returnUrl.startsWith('/\\')) {
+            this.returnUrl = returnUrl;
+        }
+
+        if (params.get('handoff') === '1') {
+            this.handOff = { setlistId: this.getSelectedSetlistId() };
+        }
+    },
+
+    monitorConnection: function() {
+        globalThis.addEventListener('online', () => this.updateConnectionStatus());
+        globalThis.addEventListener('offline', () => this.updateConnectionStatus());
+
+        if (this.handOff) {
+            document.getElementById('connectionStatus').textContent = '🔴 Connection Lost - you will be taken back automatically when it returns';
+            this.watchForServer(5000);
+        }
+
+        // Periodic connection check (every 30 seconds)
+        setInterval(async () => {
+            if (!navigator.onLine && !this.isOnline && await this.probeConnection()) {
+                // Connection restored but navigator.onLine not updated
+                this.setConnectionStatus(true);
+            }
+        }, 30000);
+    },
+
+    updateConnectionStatus: function() {
+        if (navigator.onLine !== this.isOnline) {
+            this.setConnectionStatus(navigator.onLine);
+        }
+    },
+
+    setConnectionStatus: function(isOnline) {
+        const statusElement = document.getElementById('connectionStatus');
+        this.isOnline = isOnline;
+
+        if (!isOnline) {
+            statusElement.textContent = '🔴 Connection Lost - Performance Mode Active';
+            statusElement.className = 'connection-status status-offline';
+            return;
+        }
+
+        statusElement.className = 'connection-status status-online';
+
+        // Never pull an open setlist away from the stage - let the musician choose when to return
+        if (this.getSelectedSetlistId()) {
+            statusElement.textContent = '🟢 Connection Restored - Return Home when you are ready';
+            return;
+        }
+
+        statusElement.textContent = '🟢 Connection Restored - Refreshing...';
+        setTimeout(() => {
+            globalThis.location.href = this.returnUrl;
+        }, 2000);
+    },
+
+    retryConnection: async function() {
+        const statusElement = document.getElementById('connectionStatus');
+        statusElement.textContent = '🔄 Checking connection...';
+
+        if (await this.probeConnection()) {
+            this.isOnline = true;
+            statusElement.textContent = '🟢 Connection Successful - Redirecting...';
+            statusElement.className = 'connection-status status-online';
+            setTimeout(() => {
+                globalThis.location.href = this.returnUrl;
+            }, 1000);
+        } else {
+            statusElement.textContent = '🔴 Still Offline - Performance Mode Continues';
+            statusElement.className = 'connection-status status-offline';
+        }
+    },
+
+    // After a hand-off, go back to the live app as soon as the server answers - unless the
+    // musician has opened a different setlist here, which is never pulled away from them
+    watchForServer: function(delay) {
+        setTimeout(async () => {
+            if (!await this.probeServer()) {
+                this.watchForServer(Math.min(delay * 2, 30000));
+                return;
+            }
+
+            if (this.getSelectedSetlistId() === this.handOff.setlistId) {
+                document.getElementById('connectionStatus').textContent = '🟢 Connection Restored - Returning...';
+                globalThis.location.replace(this.returnUrl);
+            } else {
+                this.setConnectionStatus(true);
+            }
+        }, delay);
+    },
+
+    // Captive portals answer the HEAD probe below - only the server's health JSON proves it is back
+    probeServer: async function() {
+        try {
+            const response = await fetch('/api/health/simple', { cache: 'no-store', redirect: 'manual' });
+            const health = response.ok ? await response.json() : null;
+            return health?.status === 'Healthy';
+        } catch {
+            return false;
+        }
+    },
+
+    // Simple connectivity test - HEAD requests are never answered by the service worker
+    probeConnection: async function() {
+        try {
+            await fetch('/', {
+                method: 'HEAD',
+                mode: 'no-cors',
+                cache: 'no-cache'
+            });
+            return true;
+        } catch {
+            return false;
+        }
+    }
+};
+
+globalThis.offlineViewer.initialize();
@@ -5,15 +5,62 @@
  * Cache Strategy:
  * - Critical App Resources: Cache First (CSS, JS, Images)
  * - API Data (Songs/Setlists): Network First with Cache Fallback  
- * - User-Generated Content: Cache with Background Sync
+ * - User-Generated Content: IndexedDB outbox replayed with Background Sync
  * 
  * Performance Focus: Ensure reliable access to setlists during live performances
  * when internet connectivity is poor or unavailable.
  */
 
-const CACHE_NAME = 'setlist-studio-v1.0.0';
-const DYNAMIC_CACHE_NAME = 'setlist-studio-dynamic-v1.0.0';
-const API_CACHE_NAME = 'setlist-studio-api-v1.0.0';
+// Build version comes from the content hash the layout appends to the worker URL
+// (/service-worker.js?v=<hash>), so every release gets its own set of caches
+const BUILD_VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+
+const CACHE_PREFIX = 'setlist-studio-app-';
+const DYNAMIC_CACHE_PREFIX = 'setlist-studio-dynamic-';
+const API_CACHE_PREFIX = 'setlist-studio-api-';
+
+// The app shell is shared; pages and API data are partitioned per signed-in user
+// ('setlist-studio-api-<userKey>.<version>') so a shared venue tablet never serves
+// one musician's library to the next
+const CACHE_NAME = CACHE_PREFIX + BUILD_VERSION;
+const DYNAMIC_CACHE = 'dynamic';
+const API_CACHE = 'api';
+
+const USER_CACHE_PREFIXES = {
+    [DYNAMIC_CACHE]: DYNAMIC_CACHE_PREFIX,
+    [API_CACHE]: API_CACHE_PREFIX
+};
+
+// User keys are the first 16 hex digits of a SHA-256 of the user id (see MainLayout).
+// Anything else - such as the shared pre-partition 'setlist-studio-api-v1.0.0' - is legacy
+const USER_KEY_PATTERN = /^[0-9a-f]{16}$/;
+
+// Expiration policies for caches that grow with use
+// Entries are evicted least-recently-used first; pinned setlists are never evicted
+const CACHE_POLICIES = {
+    [DYNAMIC_CACHE]: {
+        maxEntries: 50,
+        maxAgeSeconds: 7 * 24 * 60 * 60
+    },
+    [API_CACHE]: {
+        maxEntries: 500,
+        maxAgeSeconds: 30 * 24 * 60 * 60
+    }
+};
+
+// Navigations and requests that end the session - user data is wiped when seen
+const LOGOUT_PATHS = ['/logout', '/identity/account/logout'];
+const LOGIN_PATHS = ['/login', '/identity/account/login'];
+
+// Share of the origin quota (navigator.storage.estimate) the caches may use
+// before LRU eviction kicks in, leaving room for the browser and IndexedDB
+const STORAGE_BUDGET_RATIO = 0.6;
+
+// Policies are enforced at most this often while responses are being cached
+const POLICY_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Cached songs and setlists older than this are reported as stale
+const STALE_AFTER_MS = 24 * 60 * 60 * 1000;
 
 // Critical resources that should be available offline immediately
 // These are essential for the app to function during performances
@@ -34,8 +81,10 @@ const CRITICAL_RESOURCES = [
     // Blazor Server essentials
     '/_framework/blazor.server.js',
     
-    // Offline page for graceful degradation
-    '/offline.html'
+    // Offline setlist viewer for graceful degradation
+    '/offline.html',
+    '/css/offline.css',
+    '/js/offline-viewer.js'
 ];
 
 // API endpoints to cache for offline access
@@ -47,12 +96,70 @@ const CACHEABLE_API_ROUTES = [
     '/api/setlists/search'
 ];
 
+// API endpoints whose writes are queued in the offline outbox when the network is down
+// Edits made at a venue without Wi-Fi are replayed in order once connectivity returns
+const QUEUEABLE_WRITE_ROUTES = [
+    '/api/songs',
+    '/api/setlists'
+];
+
+const QUEUEABLE_WRITE_METHODS = ['POST', 'PUT', 'DELETE'];
+
+// Request headers preserved when a write is queued (anti-forgery token, content type)
+const REPLAYED_HEADERS = [
+    'content-type',
+    'accept',
+    'requestverificationtoken',
+    'x-csrf-token',
+    'x-requested-with',
+    'x-base-version'
+];
+
+// Updates and deletes are checked against the server copy before replay
+// so an edit made from stale cached data cannot silently overwrite a bandmate's change
+const CONFLICT_CHECKED_METHODS = ['PUT', 'DELETE'];
+
+// Fields compared during a three-way merge (base snapshot / my edit / server copy)
+const MERGEABLE_FIELDS = {
+    song: ['title', 'artist', 'album', 'genre', 'bpm', 'musicalKey', 'durationSeconds', 'notes', 'tags', 'difficultyRating'],
+    setlist: ['name', 'description', 'venue', 'performanceDate', 'expectedDurationMinutes', 'isTemplate', 'isActive', 'performanceNotes'],
+    setlistSong: ['position', 'customKey', 'customBpm', 'transitionNotes', 'performanceNotes', 'isEncore', 'isOptional']
+};
+
+const OFFLINE_DB_NAME = 'setlist-studio-offline';
+const OFFLINE_DB_VERSION = 4;
+const OUTBOX_STORE = 'outbox';
+const CACHE_METADATA_STORE = 'cache-metadata';
+const PINNED_SETLISTS_STORE = 'pinned-setlists';
+const SESSION_STORE = 'session';
+const SEARCH_INDEX_STORE = 'search-index';
+
+// Search endpoints answered from the local index when offline, whatever the query
+const SONG_SEARCH_PATH = '/api/songs/search';
+const SETLIST_SEARCH_PATH = '/api/setlists/search';
+// Page size of SongService and SetlistService - offline results page exactly like online ones
+const SEARCH_PAGE_SIZE = 20;
+const SYNC_TAG = 'sync-offline-data';
+
+// Scheduled refresh of pinned setlists, stored in the session store with its last run
+const REFRESH_TAG = 'refresh-pinned-setlists';
+const REFRESH_SCHEDULE_KEY = 'pinnedRefresh';
+const DEFAULT_REFRESH_INTERVAL_MINUTES = 12 * 60;
+
+// Browsers throttle periodic sync to roughly this anyway; also the retry floor after a failed run
+const MIN_REFRESH_INTERVAL_MINUTES = 60;
+
+// Checked before a refresh - navigator.onLine stays true behind a captive portal
+const HEALTH_PROBE_URL = '/api/health/simple';
+const HEALTH_PROBE_TIMEOUT_MS = 5000;
+
 // Resources to exclude from caching (authentication, real-time data)
 const CACHE_EXCLUSIONS = [
     '/api/auth/',
     '/login',
     '/logout', 
     '/_blazor/',
+    '/api/health',
     '/negotiate',
     '.hot-reload'
 ];
@@ -74,8 +181,9 @@ self.addEventListener('install', event => {
                 }));
             })
             .then(() => {
-                console.log('[SW] Installation complete - ready for offline performance use');
-                return self.skipWaiting();
+                // Do not skip waiting here - an update must never swap in mid-set.
+                // The app asks the user and sends SKIP_WAITING when they choose to reload.
+                console.log('[SW] Installation complete - version', BUILD_VERSION);
             })
             .catch(error => {
                 console.error('[SW] Pre-caching failed:', error);
@@ -86,6 +194,7 @@ self.addEventListener('install', event => {
 /*
  * SERVICE WORKER ACTIVATION  
  * Clean up old caches and claim clients for immediate control
+ * Cached songs and setlists are carried over so an update never loses gig data
  */
 self.addEventListener('activate', event => {
     console.log('[SW] Service Worker activating...');
@@ -94,13 +203,19 @@ self.addEventListener('activate', event => {
         // Clean up old caches
         caches.keys().then(cacheNames => {
             return Promise.all(
-                cacheNames.map(cacheName => {
-                    if (cacheName !== CACHE_NAME && 
-                        cacheName !== DYNAMIC_CACHE_NAME && 
-                        cacheName !== API_CACHE_NAME) {
-                        console.log('[SW] Deleting old cache:', cacheName);
-                        return caches.delete(cacheName);
+                cacheNames.map(async cacheName => {
+                    if (cacheName === CACHE_NAME || isCurrentVersionUserCache(cacheName)) {
+                        return;
+                    }
+                    
+                    // Legacy shared caches may hold another user's data - they are deleted, never migrated
+                    const userKey = cacheName.startsWith(API_CACHE_PREFIX) ? parseUserCacheKey(cacheName) : null;
+                    if (userKey) {
+                        await migrateCache(cacheName, buildUserCacheName(API_CACHE, userKey));
                     }
+                    
+                    console.log('[SW] Deleting old cache:', cacheName);
+                    return caches.delete(cacheName);
                 })
             );
         })
@@ -111,6 +226,53 @@ self.addEventListener('activate', event => {
     );
 });
 
+function buildUserCacheName(kind, userKey) {
+    return `${USER_CACHE_PREFIXES[kind]}${userKey}.${BUILD_VERSION}`;
+}
+
+// Returns the user key of a '<prefix><userKey>.<version>' cache, or null for legacy names
+function parseUserCacheKey(cacheName) {
+    const prefix = Object.values(USER_CACHE_PREFIXES).find(candidate => cacheName.startsWith(candidate));
+    const rest = prefix ? cacheName.slice(prefix.length) : '';
+    const separator = rest.indexOf('.');
+    const userKey = separator > 0 ? rest.slice(0, separator) : null;
+    return userKey && USER_KEY_PATTERN.test(userKey) ? userKey : null;
+}
+
+function isCurrentVersionUserCache(cacheName) {
+    return parseUserCacheKey(cacheName) !== null && cacheName.endsWith(`.${BUILD_VERSION}`);
+}
+
+async function migrateCache(fromCacheName, toCacheName) {
+    const fromCache = await caches.open(fromCacheName);
+    const toCache = await caches.open(toCacheName);
+    
+    for (const request of await fromCache.keys()) {
+        // Entries already fetched by the new version are fresher - keep them
+        if (await toCache.match(request)) continue;
+        
+        const response = await fromCache.match(request);
+        if (response) {
+            await toCache.put(request, response);
+        }
+    }
+    
+    // Point the eviction metadata at the new cache - the old one is about to be deleted
+    await withOfflineStore(CACHE_METADATA_STORE, 'readwrite', store => {
+        const lookup = store.getAll();
+        lookup.onsuccess = () => {
+            for (const entry of lookup.result) {
+                if (entry.cacheName === fromCacheName) {
+                    store.put({ ...entry, cacheName: toCacheName });
+                }
+            }
+        };
+        return lookup;
+    });
+    
+    console.log('[SW] Migrated cached data from', fromCacheName, 'to', toCacheName);
+}
+
 /*
  * FETCH EVENT HANDLER
  * Implements caching strategies based on request type
@@ -120,6 +282,18 @@ self.addEventListener('fetch', event => {
     const request = event.request;
     const url = new URL(request.url);
     
+    // Signing out wipes the user's cached library before the next person signs in
+    if (isLogoutRequest(url)) {
+        event.waitUntil(purgeUserData('logout'));
+        return;
+    }
+    
+    // Song and setlist edits are queued in the outbox if the network is unavailable
+    if (isQueueableWrite(request, url)) {
+        event.respondWith(networkWithOutboxFallback(request));
+        return;
+    }
+    
     // Skip non-GET requests and excluded URLs
     if (request.method !== 'GET' || shouldExcludeFromCache(url)) {
         return;
@@ -129,11 +303,11 @@ self.addEventListener('fetch', event => {
     if (isCriticalResource(url)) {
         event.respondWith(cacheFirstStrategy(request));
     } else if (isAPIRequest(url)) {
-        event.respondWith(networkFirstStrategy(request));
+        event.respondWith(networkFirstStrategy(request, event));
     } else if (isStaticResource(url)) {
         event.respondWith(cacheFirstStrategy(request));
     } else {
-        event.respondWith(networkFirstWithFallback(request));
+        event.respondWith(networkFirstWithFallback(request, event));
     }
 });
 
@@ -176,16 +350,16 @@ async function cacheFirstStrategy(request) {
  * Ideal for API requests - get fresh data when online, fallback to cache
  * Critical for setlist and song data during performances
  */
-async function networkFirstStrategy(request) {
+async function networkFirstStrategy(request, event) {
     try {
         // Always try network first for fresh data
         const networkResponse = await fetch(request);
         
-        if (networkResponse.ok) {
-            // Cache successful API responses for offline access
-            const cache = await caches.open(API_CACHE_NAME);
-            cache.put(request, networkResponse.clone());
-            console.log('[SW] Cached API response:', request.url);
+        if (isSessionExpiredResponse(networkResponse)) {
+            await suspendUserData();
+        } else if (networkResponse.ok) {
+            // Cache successful API responses for offline access, without holding up the response
+            event.waitUntil(cacheInBackground(API_CACHE, request, networkResponse.clone()));
         }
         
         return networkResponse;
@@ -193,8 +367,15 @@ async function networkFirstStrategy(request) {
     } catch (error) {
         console.log('[SW] Network failed, checking cache for:', request.url);
         
-        // Network failed, try cache
-        const cachedResponse = await caches.match(request);
+        // Searches are answered from the local index so any query works offline
+        const searchResponse = await searchOfflineIndex(new URL(request.url));
+        if (searchResponse) {
+            console.log('[SW] Serving search from offline index:', request.url);
+            return searchResponse;
+        }
+        
+        // Network failed, try the signed-in user's cache
+        const cachedResponse = await matchUserCache(request);
         
         if (cachedResponse) {
             console.log('[SW] Serving cached API data (offline mode):', request.url);
@@ -222,13 +403,12 @@ async function networkFirstStrategy(request) {
  * For pages and general navigation
  * Ensures users can still access cached pages when offline
  */
-async function networkFirstWithFallback(request) {
+async function networkFirstWithFallback(request, event) {
     try {
         const networkResponse = await fetch(request);
         
-        if (networkResponse.ok) {
-            const cache = await caches.open(DYNAMIC_CACHE_NAME);
-            cache.put(request, networkResponse.clone());
+        if (networkResponse.ok && !isLoginRedirect(networkResponse)) {
+            event.waitUntil(cacheInBackground(DYNAMIC_CACHE, request, networkResponse.clone()));
         }
         
         return networkResponse;
@@ -236,19 +416,71 @@ async function networkFirstWithFallback(request) {
     } catch (error) {
         console.log('[SW] Network failed, trying cache for:', request.url);
         
-        // Try cache
-        const cachedResponse = await caches.match(request);
+        // Try the user's pages, then the shared app shell
+        const cachedResponse = await matchUserCache(request) || await caches.match(request, { cacheName: CACHE_NAME });
         
         if (cachedResponse) {
             return cachedResponse;
         }
         
         // No cache available - redirect to offline page
-        return caches.match('/offline.html') || 
+        return await caches.match('/offline.html') ||
                new Response('Offline - Page not available', { status: 503 });
     }
 }
 
+/*
+ * NETWORK WITH OUTBOX FALLBACK
+ * For song and setlist writes - send immediately when online, otherwise
+ * persist the request in IndexedDB and answer optimistically with 202 Accepted
+ */
+async function networkWithOutboxFallback(request) {
+    // Keep an unread copy of the body in case the network attempt fails
+    const queuedCopy = request.clone();
+    
+    try {
+        return await fetch(request);
+    } catch (error) {
+        console.log('[SW] Network failed, queueing offline write:', request.method, request.url);
+        
+        try {
+            const entry = await enqueueOfflineWrite(queuedCopy);
+            await requestBackgroundSync();
+            
+            notifyClients('OFFLINE_WRITE_QUEUED', describeOutboxEntry(entry));
+            
+            return new Response(
+                JSON.stringify({
+                    queued: true,
+                    offline: true,
+                    queueId: entry.id,
+                    message: 'Saved offline - will sync when connection returns'
+                }),
+                {
+                    status: 202,
+                    statusText: 'Accepted - Queued Offline',
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        } catch (queueError) {
+            console.error('[SW] Failed to queue offline write:', queueError);
+            
+            return new Response(
+                JSON.stringify({
+                    error: 'Offline',
+                    message: 'This change could not be saved offline',
+                    offline: true
+                }),
+                {
+                    status: 503,
+                    statusText: 'Service Unavailable - Offline Mode',
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+    }
+}
+
 /*
  * UTILITY FUNCTIONS
  * Helper functions for routing and cache management
@@ -270,6 +502,30 @@ function isStaticResource(url) {
     return pathname.match(/\.(css|js|png|jpg|jpeg|gif|svg|woff|woff2|ttf|eot|ico)$/);
 }
 
+function isQueueableWrite(request, url) {
+    const pathname = url.pathname;
+    return QUEUEABLE_WRITE_METHODS.includes(request.method) &&
+           url.origin === self.location.origin &&
+           QUEUEABLE_WRITE_ROUTES.some(route => pathname.startsWith(route));
+}
+
+function isLogoutRequest(url) {
+    const pathname = url.pathname.toLowerCase();
+    return url.origin === self.location.origin &&
+           LOGOUT_PATHS.some(path => pathname.startsWith(path));
+}
+
+function isLoginRedirect(response) {
+    if (!response.redirected) return false;
+    
+    const pathname = new URL(response.url).pathname.toLowerCase();
+    return LOGIN_PATHS.some(path => pathname.startsWith(path));
+}
+
+function isSessionExpiredResponse(response) {
+    return response.status === 401 || isLoginRedirect(response);
+}
+
 function shouldExcludeFromCache(url) {
     const pathname = url.pathname;
     return CACHE_EXCLUSIONS.some(exclusion => pathname.includes(exclusion)) ||
@@ -286,7 +542,46 @@ self.addEventListener('message', event => {
     
     switch (type) {
         case 'CACHE_SETLIST':
-            cacheSetlistData(payload.setlistId);
+            event.waitUntil(cacheSetlistData(payload.setlistId));
+            break;
+            
+        case 'PIN_SETLIST':
+            // Progress is streamed back on the port the app passed in
+            event.waitUntil(packageSetlistForOffline(payload.setlistId, payload, event.ports[0]).then(ensurePeriodicRefresh, error => {
+                // Always settle the page's pin request, even when packaging itself failed
+                console.error('[SW] Failed to package setlist:', error);
+                event.ports[0]?.postMessage({
+                    type: 'PIN_COMPLETE',
+                    payload: {
+                        setlistId: String(payload.setlistId),
+                        songsReady: 0,
+                        songsTotal: 0,
+                        failures: [{ reason: error.message }],
+                        ready: false
+                    }
+                });
+            }));
+            break;
+            
+        case 'GET_PINNED_SETLISTS':
+            withOfflineStore(PINNED_SETLISTS_STORE, 'readonly', store => store.getAll())
+                .then(pinned => {
+                    event.ports[0].postMessage({
+                        type: 'PINNED_SETLISTS',
+                        payload: { setlists: pinned.map(describePinnedSetlist) }
+                    });
+                })
+                .catch(error => {
+                    console.error('[SW] Pinned setlists unavailable:', error);
+                    event.ports[0].postMessage({ type: 'PINNED_SETLISTS', payload: { setlists: [], error: error.message } });
+                });
+            break;
+            
+        case 'GET_CACHED_SETLIST':
+            // Read straight from the cache - the stage view never waits on a venue network
+            getCachedSetlist(payload.setlistId).then(result => {
+                event.ports[0].postMessage({ type: 'CACHED_SETLIST', payload: result });
+            });
             break;
             
         case 'CACHE_SONGS':
@@ -294,13 +589,145 @@ self.addEventListener('message', event => {
             break;
             
         case 'GET_CACHE_STATUS':
-            getCacheStatus().then(status => {
-                event.ports[0].postMessage({ type: 'CACHE_STATUS', payload: status });
-            });
+            getCacheStatus()
+                .then(status => {
+                    event.ports[0].postMessage({ type: 'CACHE_STATUS', payload: status });
+                })
+                .catch(error => {
+                    console.error('[SW] Cache status unavailable:', error);
+                    event.ports[0].postMessage({
+                        type: 'CACHE_STATUS',
+                        payload: { caches: {}, setlists: [], songs: [], pinnedSetlists: [], storage: {}, error: error.message }
+                    });
+                });
+            break;
+            
+        case 'SKIP_WAITING':
+            // Sent only after the user accepts the "update available" prompt
+            console.log('[SW] Activating new version on user request:', BUILD_VERSION);
+            self.skipWaiting();
+            break;
+            
+        case 'GET_VERSION':
+            event.ports[0].postMessage({ type: 'VERSION', payload: { version: BUILD_VERSION } });
+            break;
+            
+        case 'GET_REFRESH_SCHEDULE':
+            getRefreshSchedule()
+                .then(schedule => describeRefreshSchedule(schedule))
+                .catch(error => {
+                    // null, as when there is no service worker - the page must not wait forever
+                    console.error('[SW] Refresh schedule unavailable:', error);
+                    return null;
+                })
+                .then(schedule => {
+                    event.ports[0].postMessage({ type: 'REFRESH_SCHEDULE', payload: schedule });
+                });
+            break;
+            
+        case 'SET_REFRESH_SCHEDULE':
+            event.waitUntil(setRefreshSchedule(payload)
+                .catch(error => {
+                    console.error('[SW] Could not save refresh schedule:', error);
+                    return null;
+                })
+                .then(schedule => {
+                    event.ports[0]?.postMessage({ type: 'REFRESH_SCHEDULE', payload: schedule });
+                }));
+            break;
+            
+        case 'REFRESH_PINNED_SETLISTS':
+            // Sent with force when the musician taps refresh, without it when the app regains focus
+            event.waitUntil((payload?.force ? refreshPinnedSetlists('manual') : refreshPinnedSetlistsIfDue('focus'))
+                .catch(error => {
+                    console.error('[SW] Pinned setlist refresh failed:', error);
+                    return null;
+                })
+                .then(schedule => {
+                    event.ports[0]?.postMessage({ type: 'REFRESH_SCHEDULE', payload: schedule });
+                }));
+            break;
+            
+        case 'UNPIN_SETLIST':
+            event.waitUntil(unpinSetlist(payload.setlistId));
             break;
             
         case 'CLEAR_CACHE':
-            clearAPICache();
+            event.waitUntil(clearAPICache().catch(error => {
+                console.error('[SW] Failed to clear API cache:', error);
+            }));
+            break;
+            
+        case 'SET_USER':
+            event.waitUntil(setCurrentUser(payload.userKey));
+            break;
+            
+        case 'PURGE_USER_DATA':
+            // Always answer, so the page never waits on a purge that failed
+            event.waitUntil(
+                purgeUserData(payload?.reason || 'requested')
+                    .then(() => ({ success: true }), error => {
+                        console.error('[SW] Failed to purge user data:', error);
+                        return { success: false, error: error.message };
+                    })
+                    .then(result => {
+                        event.ports[0]?.postMessage({
+                            type: 'USER_DATA_PURGED',
+                            payload: { reason: payload?.reason || 'requested', ...result }
+                        });
+                    })
+            );
+            break;
+            
+        case 'REPLAY_OUTBOX':
+            event.waitUntil(syncOfflineData().catch(error => {
+                console.log('[SW] Outbox replay paused:', error.message);
+            }));
+            break;
+            
+        case 'GET_OUTBOX_STATUS':
+            getOutboxEntries()
+                .then(entries => {
+                    event.ports[0].postMessage({
+                        type: 'OUTBOX_STATUS',
+                        payload: { pending: entries.map(describeOutboxEntry) }
+                    });
+                })
+                .catch(error => {
+                    console.error('[SW] Outbox status unavailable:', error);
+                    event.ports[0].postMessage({ type: 'OUTBOX_STATUS', payload: { pending: [], error: error.message } });
+                });
+            break;
+            
+        case 'GET_CONFLICTS':
+            getOutboxEntries()
+                .then(entries => {
+                    event.ports[0].postMessage({
+                        type: 'CONFLICTS',
+                        payload: {
+                            conflicts: entries
+                                .filter(entry => entry.status === 'conflict')
+                                .map(describeConflict)
+                        }
+                    });
+                })
+                .catch(error => {
+                    console.error('[SW] Conflicts unavailable:', error);
+                    event.ports[0].postMessage({ type: 'CONFLICTS', payload: { conflicts: [], error: error.message } });
+                });
+            break;
+            
+        case 'RESOLVE_CONFLICT':
+            event.waitUntil(
+                resolveConflict(payload.id, payload.strategy, payload.fieldChoices)
+                    .then(() => {
+                        event.ports[0]?.postMessage({ type: 'CONFLICT_RESOLVED', payload: { id: payload.id, success: true } });
+                    })
+                    .catch(error => {
+                        console.error('[SW] Conflict resolution failed:', error);
+                        event.ports[0]?.postMessage({ type: 'CONFLICT_RESOLVED', payload: { id: payload.id, success: false, error: error.message } });
+                    })
+            );
             break;
             
         default:
@@ -314,25 +741,170 @@ self.addEventListener('message', event => {
  */
 async function cacheSetlistData(setlistId) {
     try {
-        const response = await fetch(`/api/setlists/${setlistId}`);
-        if (response.ok) {
-            const cache = await caches.open(API_CACHE_NAME);
-            await cache.put(`/api/setlists/${setlistId}`, response);
-            console.log('[SW] Manually cached setlist:', setlistId);
-        }
+        await packageSetlistForOffline(setlistId, {}, null);
+        await ensurePeriodicRefresh();
     } catch (error) {
         console.error('[SW] Failed to cache setlist:', error);
     }
 }
 
-async function cacheSongsData(songs) {
+/*
+ * OFFLINE SETLIST PACKAGING
+ * Pins everything a gig needs: the setlist, every song it references and the
+ * pages that display it. Progress and failures are posted to the given port.
+ */
+const PINNED_PAGE_PATHS = ['/setlists'];
+
+async function packageSetlistForOffline(setlistId, options = {}, port = null) {
+    const report = (type, payload) => port?.postMessage({ type, payload: { setlistId, ...payload } });
+    const cachedUrls = [];
+    const staleUrls = [];
+    const failures = [];
+    
+    const cacheUrl = async (kind, url) => {
+        try {
+            const response = await fetch(url, { credentials: 'same-origin' });
+            if (!response.ok || isLoginRedirect(response)) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            if (!await putInCache(kind, url, response.clone())) {
+                throw new Error('No signed-in user to cache for');
+            }
+            cachedUrls.push(url);
+            return response;
+        } catch (error) {
+            // A scheduled refresh keeps the copy it already has rather than losing it
+            const cachedResponse = options.keepCached ? await matchUserCache(url) : null;
+            if (cachedResponse) {
+                cachedUrls.push(url);
+                staleUrls.push(url);
+                return cachedResponse;
+            }
+            
+            failures.push({ url, reason: error.message });
+            report('PIN_ITEM_FAILED', { url, reason: error.message });
+            return null;
+        }
+    };
+    
+    // 1. The setlist with its songs in order - each entry embeds its song, so this one
+    //    response holds everything the stage view and offline viewer show
+    report('PIN_PROGRESS', { stage: 'setlist', completed: 0, total: 1 });
+    const setlistUrl = `/api/setlists/${setlistId}`;
+    const setlistResponse = await cacheUrl(API_CACHE, setlistUrl);
+    const setlist = setlistResponse ? parseJson(await setlistResponse.text()) : null;
+    
+    // 2. Count the songs that actually came with it
+    const songIds = getSetlistSongIds(setlist).map(String);
+    const songsReady = (setlist?.setlistSongs ?? []).filter(entry => entry.song).length;
+    
+    if (setlist && songsReady === 0) {
+        failures.push({ url: setlistUrl, reason: 'No songs could be saved for this setlist' });
+        report('PIN_ITEM_FAILED', failures[failures.length - 1]);
+    } else if (songsReady < songIds.length) {
+        failures.push({ url: setlistUrl, reason: `${songIds.length - songsReady} songs are missing from the setlist` });
+        report('PIN_ITEM_FAILED', failures[failures.length - 1]);
+    }
+    
+    report('PIN_PROGRESS', {
+        stage: 'songs',
+        completed: songsReady,
+        total: songIds.length,
+        label: `${songsReady}/${songIds.length} songs ready`
+    });
+    
+    // 3. The page shell and app resources needed to show it without a connection
+    const pagePaths = [...new Set([...PINNED_PAGE_PATHS, ...(options.pagePaths ?? [])])];
+    report('PIN_PROGRESS', { stage: 'pages', completed: 0, total: pagePaths.length });
+    
+    for (const pagePath of pagePaths) {
+        await cacheUrl(DYNAMIC_CACHE, pagePath);
+    }
+    
+    await ensureCriticalResourcesCached(failures);
+    
+    const now = new Date().toISOString();
+    const ready = !!setlist && failures.length === 0;
+    const record = {
+        setlistId: String(setlistId),
+        name: setlist?.name ?? null,
+        urls: cachedUrls.map(toAbsoluteUrl),
+        songIds,
+        songsReady,
+        failures,
+        ready,
+        stale: staleUrls.length > 0,
+        pinnedAt: options.pinnedAt ?? now,
+        refreshedAt: ready && staleUrls.length === 0 ? now : options.refreshedAt ?? null
+    };
+    
+    await pinSetlist(record);
+    console.log('[SW] Packaged setlist for offline use:', setlistId, record.ready ? 'ready' : 'incomplete');
+    
+    const summary = describePinnedSetlist(record);
+    report('PIN_COMPLETE', summary);
+    return summary;
+}
+
+async function ensureCriticalResourcesCached(failures) {
+    const cache = await caches.open(CACHE_NAME);
+    
+    for (const resource of CRITICAL_RESOURCES) {
+        if (await cache.match(resource)) continue;
+        
+        try {
+            await cache.add(new Request(resource, { cache: 'reload' }));
+        } catch (error) {
+            failures.push({ url: resource, reason: error.message });
+        }
+    }
+}
+
+function getSetlistSongIds(setlist) {
+    return (setlist?.setlistSongs ?? [])
+        .map(entry => entry.songId ?? entry.song?.id)
+        .filter(id => id !== undefined && id !== null);
+}
+
+function describePinnedSetlist(record) {
+    return {
+        setlistId: record.setlistId,
+        name: record.name ?? null,
+        songsReady: record.songsReady ?? 0,
+        songsTotal: record.songIds?.length ?? 0,
+        failures: record.failures ?? [],
+        ready: record.ready ?? false,
+        stale: record.stale ?? false,
+        pinnedAt: record.pinnedAt,
+        refreshedAt: record.refreshedAt ?? null
+    };
+}
+
+// A setlist and its songs from the signed-in user's cache, or null when the setlist isn't cached.
+// The setlist response embeds its songs in performance order, so no other lookups are needed
+async function getCachedSetlist(setlistId) {
     try {
-        const cache = await caches.open(API_CACHE_NAME);
+        const setlist = await getCachedEntity(`/api/setlists/${setlistId}`);
+        if (!setlist) {
+            return null;
+        }
         
+        const songs = (setlist.setlistSongs ?? []).map(entry => entry.song).filter(Boolean);
+        
+        return { setlist, songIds: getSetlistSongIds(setlist).map(String), songs };
+    } catch (error) {
+        console.error('[SW] Failed to read cached setlist:', error);
+        return null;
+    }
+}
+
+async function cacheSongsData(songs) {
+    try {
         for (const song of songs) {
             const response = await fetch(`/api/songs/${song.id}`);
             if (response.ok) {
-                await cache.put(`/api/songs/${song.id}`, response);
+                await putInCache(API_CACHE, `/api/songs/${song.id}`, response);
             }
         }
         
@@ -342,39 +914,1268 @@ async function cacheSongsData(songs) {
     }
 }
 
+/*
+ * CACHE STATUS REPORT
+ * Bytes per cache, storage quota, freshness of every cached song and setlist,
+ * and whether each pinned setlist is still complete - the data behind the
+ * offline readiness dashboard musicians check before soundcheck
+ */
 async function getCacheStatus() {
-    const cacheNames = await caches.keys();
-    const status = {};
+    const metadata = await withOfflineStore(CACHE_METADATA_STORE, 'readonly', store => store.getAll());
+    const pinned = await withOfflineStore(PINNED_SETLISTS_STORE, 'readonly', store => store.getAll());
+    const indexed = await withOfflineStore(SEARCH_INDEX_STORE, 'readonly', store => store.getAll());
     
-    for (const cacheName of cacheNames) {
+    const metadataByUrl = new Map(metadata.map(entry => [entry.url, entry]));
+    const indexedByKey = new Map(indexed.map(record => [record.key, record.record]));
+    const cachedUrls = new Set();
+    const cacheUsage = {};
+    let totalBytes = 0;
+    
+    for (const cacheName of await caches.keys()) {
         const cache = await caches.open(cacheName);
-        const keys = await cache.keys();
-        status[cacheName] = keys.length;
+        const requests = await cache.keys();
+        let bytes = 0;
+        
+        for (const request of requests) {
+            cachedUrls.add(request.url);
+            bytes += metadataByUrl.get(request.url)?.size ?? await measureCachedResponse(cache, request);
+        }
+        
+        cacheUsage[cacheName] = { entries: requests.length, bytes };
+        totalBytes += bytes;
+    }
+    
+    const estimate = navigator.storage?.estimate ? await navigator.storage.estimate() : {};
+    const pinnedIds = new Set(pinned.map(record => record.setlistId));
+    const now = Date.now();
+    
+    const describeFreshness = (id, name, syncedAt, pinned) => ({
+        id,
+        name: name ?? null,
+        lastSynced: new Date(syncedAt).toISOString(),
+        stale: now - syncedAt > STALE_AFTER_MS,
+        pinned
+    });
+    
+    const setlists = [];
+    
+    for (const entry of metadata) {
+        const setlistMatch = /^\/api\/setlists\/(\d+)$/.exec(new URL(entry.url).pathname);
+        
+        if (setlistMatch) {
+            const id = setlistMatch[1];
+            setlists.push(describeFreshness(id, indexedByKey.get(`setlist:${id}`)?.name, entry.cachedAt, pinnedIds.has(id)));
+        }
+    }
+    
+    // Songs are cached inside list, search and setlist responses rather than at a URL of
+    // their own, so each song was last synced when the newest response holding it was indexed
+    const songSyncs = new Map();
+    const noteSong = (song, syncedAt) => {
+        if (song?.id === undefined || song?.id === null) return;
+        
+        const id = String(song.id);
+        const known = songSyncs.get(id);
+        if (!known || known.syncedAt < syncedAt) {
+            songSyncs.set(id, { name: song.title ?? known?.name, syncedAt });
+        }
+    };
+    
+    for (const record of indexed) {
+        if (record.type === 'song') {
+            noteSong(record.record, record.indexedAt);
+        } else {
+            (record.record?.setlistSongs ?? []).forEach(entry => noteSong(entry.song, record.indexedAt));
+        }
     }
     
-    return status;
+    const pinnedSongIds = new Set(pinned.flatMap(record => record.songIds ?? []).map(String));
+    const songs = [...songSyncs].map(([id, sync]) => describeFreshness(id, sync.name, sync.syncedAt, pinnedSongIds.has(id)));
+    
+    return {
+        generatedAt: new Date(now).toISOString(),
+        version: BUILD_VERSION,
+        storage: {
+            usage: estimate.usage ?? null,
+            quota: estimate.quota ?? null,
+            cachedBytes: totalBytes
+        },
+        caches: cacheUsage,
+        setlists,
+        songs,
+        pinnedSetlists: pinned.map(record => ({
+            ...describePinnedSetlist(record),
+            // Complete only if nothing it needs has been evicted or cleared since pinning
+            complete: !!record.ready && (record.urls ?? []).every(url => cachedUrls.has(url))
+        }))
+    };
+}
+
+async function measureCachedResponse(cache, request) {
+    try {
+        const response = await cache.match(request);
+        return response ? (await response.blob()).size : 0;
+    } catch (error) {
+        console.warn('[SW] Could not measure cached response:', error.message);
+        return 0;
+    }
 }
 
 async function clearAPICache() {
-    await caches.delete(API_CACHE_NAME);
+    const apiCacheName = await getUserCacheName(API_CACHE);
+    if (apiCacheName) {
+        await caches.delete(apiCacheName);
+    }
+    await withOfflineStore(CACHE_METADATA_STORE, 'readwrite', store => store.clear());
+    await withOfflineStore(PINNED_SETLISTS_STORE, 'readwrite', store => store.clear());
+    await withOfflineStore(SEARCH_INDEX_STORE, 'readwrite', store => store.clear());
     console.log('[SW] API cache cleared');
 }
 
 /*
- * BACKGROUND SYNC (for future enhancement)
- * Placeholder for offline data synchronization when connection returns
+ * CACHE EXPIRATION AND EVICTION
+ * Keeps dynamic and API caches within CACHE_POLICIES and the storage budget.
+ * Access times live in IndexedDB so the least recently used entries go first.
  */
-self.addEventListener('sync', event => {
-    console.log('[SW] Background sync triggered:', event.tag);
+async function putInCache(kind, request, response) {
+    // Nothing is cached for a signed-out visitor
+    const cacheName = await getUserCacheName(kind);
+    if (!cacheName) {
+        return false;
+    }
     
-    if (event.tag === 'sync-offline-data') {
-        event.waitUntil(syncOfflineData());
+    const url = toAbsoluteUrl(request);
+    const size = (await response.clone().blob()).size;
+    const indexCopy = kind === API_CACHE ? response.clone() : null;
+    
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response);
+    
+    const now = Date.now();
+    await withOfflineStore(CACHE_METADATA_STORE, 'readwrite', store => store.put({
+        url,
+        kind,
+        cacheName,
+        size,
+        cachedAt: now,
+        lastAccessed: now
+    }));
+    
+    if (indexCopy) {
+        await indexCachedResponse(url, indexCopy);
     }
-});
+    
+    scheduleCachePolicyEnforcement();
+    return true;
+}
+
+// Cache writes made while answering a fetch - a full quota or a failed IndexedDB write
+// must not surface as an unhandled rejection
+async function cacheInBackground(kind, request, response) {
+    try {
+        if (await putInCache(kind, request, response)) {
+            console.log('[SW] Cached response:', request.url);
+        }
+    } catch (error) {
+        console.warn('[SW] Could not cache response:', request.url, error.message);
+    }
+}
+
+async function recordCacheAccess(request) {
+    try {
+        const url = toAbsoluteUrl(request);
+        
+        await withOfflineStore(CACHE_METADATA_STORE, 'readwrite', store => {
+            const lookup = store.get(url);
+            lookup.onsuccess = () => {
+                if (lookup.result) {
+                    store.put({ ...lookup.result, lastAccessed: Date.now() });
+                }
+            };
+            return lookup;
+        });
+    } catch (error) {
+        console.warn('[SW] Could not record cache access:', error.message);
+    }
+}
+
+let policyEnforcement = null;
+let lastPolicyCheck = 0;
+
+function scheduleCachePolicyEnforcement() {
+    if (policyEnforcement || Date.now() - lastPolicyCheck < POLICY_CHECK_INTERVAL_MS) {
+        return policyEnforcement;
+    }
+    
+    lastPolicyCheck = Date.now();
+    policyEnforcement = enforceCachePolicies()
+        .catch(error => console.error('[SW] Cache policy enforcement failed:', error))
+        .finally(() => {
+            policyEnforcement = null;
+        });
+    
+    return policyEnforcement;
+}
+
+async function enforceCachePolicies() {
+    const metadata = await withOfflineStore(CACHE_METADATA_STORE, 'readonly', store => store.getAll());
+    const pinnedUrls = await getPinnedUrls();
+    const now = Date.now();
+    const evicted = new Set();
+    
+    // Least recently used first, pinned setlist data is exempt
+    const candidates = metadata
+        .filter(entry => CACHE_POLICIES[entry.kind] && !pinnedUrls.has(entry.url))
+        .sort((a, b) => a.lastAccessed - b.lastAccessed);
+    
+    for (const [kind, policy] of Object.entries(CACHE_POLICIES)) {
+        const inCache = candidates.filter(entry => entry.kind === kind);
+        const expired = inCache.filter(entry => now - entry.cachedAt > policy.maxAgeSeconds * 1000);
+        const overflow = inCache.filter(entry => !expired.includes(entry))
+            .slice(0, Math.max(0, inCache.length - expired.length - policy.maxEntries));
+        
+        for (const entry of [...expired, ...overflow]) {
+            evicted.add(entry);
+        }
+    }
+    
+    // Stay within the byte budget derived from the origin quota
+    if (navigator.storage?.estimate) {
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        let bytesOver = usage - quota * STORAGE_BUDGET_RATIO;
+        
+        for (const entry of evicted) {
+            bytesOver -= entry.size || 0;
+        }
+        
+        for (const entry of candidates) {
+            if (bytesOver <= 0) break;
+            if (evicted.has(entry)) continue;
+            
+            evicted.add(entry);
+            bytesOver -= entry.size || 0;
+        }
+    }
+    
+    if (evicted.size === 0) {
+        return;
+    }
+    
+    for (const entry of evicted) {
+        // Opening a cache that no longer exists would recreate it
+        if (await caches.has(entry.cacheName)) {
+            const cache = await caches.open(entry.cacheName);
+            await cache.delete(entry.url);
+        }
+    }
+    
+    await withOfflineStore(CACHE_METADATA_STORE, 'readwrite', store => {
+        for (const entry of evicted) {
+            store.delete(entry.url);
+        }
+    });
+    
+    console.log('[SW] Evicted cached entries:', evicted.size);
+}
+
+/*
+ * PINNED SETLISTS
+ * Setlists the musician explicitly made available offline - exempt from eviction
+ */
+function pinSetlist(record) {
+    return withOfflineStore(PINNED_SETLISTS_STORE, 'readwrite', store => store.put(record));
+}
+
+async function unpinSetlist(setlistId) {
+    await withOfflineStore(PINNED_SETLISTS_STORE, 'readwrite', store => store.delete(String(setlistId)));
+    console.log('[SW] Unpinned setlist:', setlistId);
+    
+    // Its entries are now regular LRU candidates
+    lastPolicyCheck = 0;
+    await scheduleCachePolicyEnforcement();
+}
+
+async function getPinnedUrls() {
+    const pinned = await withOfflineStore(PINNED_SETLISTS_STORE, 'readonly', store => store.getAll());
+    return new Set(pinned.flatMap(setlist => setlist.urls));
+}
+
+function toAbsoluteUrl(request) {
+    return new URL(typeof request === 'string' ? request : request.url, self.location.origin).href;
+}
+
+/*
+ * SCHEDULED REFRESH OF PINNED SETLISTS
+ * Re-fetches every pinned setlist and its songs so the copy in the gig bag is current.
+ * Runs from periodic background sync where the browser allows it; otherwise the app
+ * asks for a refresh whenever it regains focus and one is due.
+ */
+self.addEventListener('periodicsync', event => {
+    console.log('[SW] Periodic sync triggered:', event.tag);
+    
+    if (event.tag === REFRESH_TAG) {
+        event.waitUntil(refreshPinnedSetlists('periodic-sync'));
+    }
+});
+
+async function getRefreshSchedule() {
+    const stored = await withOfflineStore(SESSION_STORE, 'readonly', store => store.get(REFRESH_SCHEDULE_KEY));
+    
+    return {
+        key: REFRESH_SCHEDULE_KEY,
+        enabled: true,
+        intervalMinutes: DEFAULT_REFRESH_INTERVAL_MINUTES,
+        periodicSync: false,
+        lastAttemptAt: null,
+        lastSuccessAt: null,
+        lastResult: null,
+        ...stored
+    };
+}
+
+function saveRefreshSchedule(schedule) {
+    return withOfflineStore(SESSION_STORE, 'readwrite', store => store.put(schedule));
+}
+
+function describeRefreshSchedule(schedule) {
+    return {
+        enabled: schedule.enabled,
+        intervalMinutes: schedule.intervalMinutes,
+        periodicSync: schedule.periodicSync,
+        lastAttemptAt: schedule.lastAttemptAt,
+        lastSuccessAt: schedule.lastSuccessAt,
+        lastResult: schedule.lastResult
+    };
+}
+
+async function setRefreshSchedule(settings = {}) {
+    const schedule = await getRefreshSchedule();
+    const intervalMinutes = Number(settings.intervalMinutes);
+    
+    if (typeof settings.enabled === 'boolean') {
+        schedule.enabled = settings.enabled;
+    }
+    if (intervalMinutes > 0) {
+        schedule.intervalMinutes = Math.max(MIN_REFRESH_INTERVAL_MINUTES, Math.round(intervalMinutes));
+    }
+    
+    schedule.periodicSync = await registerPeriodicRefresh(schedule);
+    await saveRefreshSchedule(schedule);
+    console.log('[SW] Pinned setlist refresh schedule:', schedule.enabled ? `every ${schedule.intervalMinutes} min` : 'off');
+    
+    return describeRefreshSchedule(schedule);
+}
+
+// Returns true when the browser will wake the worker on the schedule by itself
+async function registerPeriodicRefresh(schedule) {
+    const periodicSync = self.registration.periodicSync;
+    if (!periodicSync) {
+        return false;
+    }
+    
+    try {
+        if (!schedule.enabled) {
+            await periodicSync.unregister(REFRESH_TAG);
+            return false;
+        }
+        
+        await periodicSync.register(REFRESH_TAG, { minInterval: schedule.intervalMinutes * 60 * 1000 });
+        return true;
+    } catch (error) {
+        // Usually means the app isn't installed - refreshing on focus still covers it
+        console.log('[SW] Periodic sync registration unavailable:', error.message);
+        return false;
+    }
+}
+
+// Registers the stored schedule the first time a setlist is pinned
+async function ensurePeriodicRefresh() {
+    const schedule = await getRefreshSchedule();
+    
+    if (schedule.enabled && !schedule.periodicSync) {
+        schedule.periodicSync = await registerPeriodicRefresh(schedule);
+        await saveRefreshSchedule(schedule);
+    }
+}
+
+async function refreshPinnedSetlistsIfDue(trigger) {
+    const schedule = await getRefreshSchedule();
+    const now = Date.now();
+    
+    // Never refreshed (or never tried) means due
+    const sinceSuccess = schedule.lastSuccessAt ? now - Date.parse(schedule.lastSuccessAt) : Infinity;
+    const sinceAttempt = schedule.lastAttemptAt ? now - Date.parse(schedule.lastAttemptAt) : Infinity;
+    
+    if (!schedule.enabled ||
+        sinceSuccess < schedule.intervalMinutes * 60 * 1000 ||
+        sinceAttempt < MIN_REFRESH_INTERVAL_MINUTES * 60 * 1000) {
+        return describeRefreshSchedule(schedule);
+    }
+    
+    return refreshPinnedSetlists(trigger);
+}
+
+let pinnedRefresh = null;
+
+function refreshPinnedSetlists(trigger) {
+    // Periodic sync and focus can fire together - share one refresh
+    if (!pinnedRefresh) {
+        pinnedRefresh = runPinnedRefresh(trigger).finally(() => {
+            pinnedRefresh = null;
+        });
+    }
+    
+    return pinnedRefresh;
+}
+
+async function runPinnedRefresh(trigger) {
+    const schedule = await getRefreshSchedule();
+    const pinned = await withOfflineStore(PINNED_SETLISTS_STORE, 'readonly', store => store.getAll());
+    
+    if (!schedule.enabled || pinned.length === 0 || !await getCurrentUserKey() || !await isServerReachable()) {
+        return describeRefreshSchedule(schedule);
+    }
+    
+    console.log('[SW] Refreshing pinned setlists:', pinned.length, trigger);
+    schedule.lastAttemptAt = new Date().toISOString();
+    let refreshed = 0;
+    
+    for (const record of pinned) {
+        const summary = await packageSetlistForOffline(record.setlistId, {
+            pinnedAt: record.pinnedAt,
+            refreshedAt: record.refreshedAt,
+            keepCached: true
+        });
+        
+        if (summary.ready && !summary.stale) {
+            refreshed++;
+        }
+    }
+    
+    // Only a run that brought every pinned setlist up to date counts as successful
+    if (refreshed === pinned.length) {
+        schedule.lastSuccessAt = schedule.lastAttemptAt;
+    }
+    schedule.lastResult = { trigger, refreshed, total: pinned.length };
+    await saveRefreshSchedule(schedule);
+    
+    const description = describeRefreshSchedule(schedule);
+    notifyClients('PINNED_SETLISTS_REFRESHED', description);
+    return description;
+}
+
+// Same check as the page's connectivity probe: a captive portal answers with a redirect or its
+// own page, never our health JSON. A refresh against it would mark every pinned setlist stale
+async function isServerReachable() {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), HEALTH_PROBE_TIMEOUT_MS);
+    
+    try {
+        const response = await fetch(HEALTH_PROBE_URL, {
+            cache: 'no-store',
+            redirect: 'manual',
+            credentials: 'same-origin',
+            headers: { 'Accept': 'application/json' },
+            signal: controller.signal
+        });
+        
+        if (!response.ok) {
+            return false;
+        }
+        
+        const health = parseJson(await response.text());
+        return health?.status === 'Healthy';
+    } catch (error) {
+        console.log('[SW] Server unreachable, skipping pinned refresh:', error.message);
+        return false;
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+/*
+ * BACKGROUND SYNC
+ * Replays the offline outbox in the order the edits were made
+ * Triggered by the sync event or by the app when the browser comes back online
+ */
+self.addEventListener('sync', event => {
+    console.log('[SW] Background sync triggered:', event.tag);
+    
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(syncOfflineData());
+    }
+});
+
+let outboxReplay = null;
+
+function syncOfflineData() {
+    // Sync events and online notifications can overlap - share one replay
+    if (!outboxReplay) {
+        outboxReplay = replayOutbox().finally(() => {
+            outboxReplay = null;
+        });
+    }
+    
+    return outboxReplay;
+}
+
+async function replayOutbox() {
+    const entries = await getOutboxEntries();
+    
+    if (entries.length === 0) {
+        return;
+    }
+    
+    console.log('[SW] Replaying offline writes:', entries.length);
+    
+    for (const queuedEntry of entries) {
+        if (queuedEntry.status === 'conflict') {
+            // Waiting for the musician to resolve it - later edits stay queued behind it
+            console.log('[SW] Outbox replay waiting on conflict resolution:', queuedEntry.id);
+            break;
+        }
+        
+        let entry;
+        let response;
+        
+        try {
+            entry = await checkForConflict(queuedEntry);
+            
+            if (!entry) {
+                break;
+            }
+            
+            response = await fetch(buildReplayRequest(entry));
+        } catch (error) {
+            // Still offline - stop here so later edits are not applied out of order
+            throw new Error(`Network unavailable while replaying offline write ${queuedEntry.id}: ${error.message}`);
+        }
+        
+        if (isSessionExpiredResponse(response)) {
+            // Signed out in the meantime - keep the edit until the same user signs back in
+            await suspendUserData();
+            throw new Error(`Session expired while replaying offline write ${entry.id}`);
+        }
+        
+        if (response.status >= 500) {
+            // Server trouble is transient - keep the entry and retry on the next sync
+            throw new Error(`Server returned ${response.status} while replaying offline write ${entry.id}`);
+        }
+        
+        if (response.status === 409) {
+            // Changed on the server between the conflict check and the write - keep the entry,
+            // the next replay's conflict check sees the new version and merges or asks the user
+            throw new Error(`Server copy changed while replaying offline write ${entry.id}`);
+        }
+        
+        await deleteOutboxEntry(entry.id);
+        
+        if (response.ok) {
+            console.log('[SW] Offline write synced:', entry.method, entry.url);
+            notifyClients('OFFLINE_WRITE_SYNCED', {
+                ...describeOutboxEntry(entry),
+                status: response.status,
+                body: await readResponseBody(response)
+            });
+        } else {
+            // Rejected by the server (validation, auth, not found) - replaying again will not help
+            console.warn('[SW] Offline write rejected by server:', response.status, entry.url);
+            notifyClients('OFFLINE_WRITE_FAILED', {
+                ...describeOutboxEntry(entry),
+                status: response.status,
+                body: await readResponseBody(response)
+            });
+        }
+    }
+    
+    notifyClients('OFFLINE_SYNC_COMPLETE', { pending: (await getOutboxEntries()).length });
+}
+
+function buildReplayRequest(entry) {
+    const headers = { ...entry.headers };
+    if (entry.baseVersion) {
+        // The API answers 409 if the entity still changed after our conflict check
+        headers['x-base-version'] = entry.baseVersion;
+    }
+    
+    return new Request(entry.url, {
+        method: entry.method,
+        headers,
+        body: entry.method === 'DELETE' && !entry.body ? undefined : entry.body,
+        credentials: 'same-origin'
+    });
+}
+
+async function readResponseBody(response) {
+    try {
+        const text = await response.text();
+        if (!text) return null;
+        
+        const contentType = response.headers.get('Content-Type') || '';
+        return contentType.includes('application/json') ? JSON.parse(text) : text;
+    } catch (error) {
+        console.warn('[SW] Could not read replay response body:', error.message);
+        return null;
+    }
+}
+
+async function requestBackgroundSync() {
+    try {
+        if (self.registration.sync) {
+            await self.registration.sync.register(SYNC_TAG);
+        }
+    } catch (error) {
+        // Background Sync unsupported or denied - the app replays on the online event instead
+        console.log('[SW] Background sync registration unavailable:', error.message);
+    }
+}
+
+async function notifyClients(type, payload) {
+    const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    
+    for (const client of clientList) {
+        client.postMessage({ type, payload });
+    }
+}
+
+/*
+ * CONFLICT DETECTION AND RESOLUTION
+ * Compares the version an offline edit was based on with the current server copy.
+ * Non-overlapping changes merge automatically; overlapping ones wait for the user.
+ */
+async function checkForConflict(entry) {
+    if (!CONFLICT_CHECKED_METHODS.includes(entry.method)) {
+        return entry;
+    }
+    
+    const serverResponse = await fetch(entry.url, {
+        cache: 'no-store',
+        credentials: 'same-origin',
+        headers: { 'Accept': 'application/json' }
+    });
+    
+    if (!serverResponse.ok) {
+        // Missing or forbidden on the server - let the replayed write report the real outcome
+        return entry;
+    }
+    
+    const theirs = await serverResponse.json();
+    const serverVersion = getEntityVersion(theirs);
+    
+    // Without a version on both sides nothing proves the server copy is unchanged, unless
+    // the user already resolved against exactly this server copy
+    const versioned = Boolean(entry.baseVersion && serverVersion);
+    const unchanged = versioned
+        ? serverVersion === entry.baseVersion
+        : Boolean(entry.resolvedAt) && JSON.stringify(entry.base) === JSON.stringify(theirs);
+    
+    if (unchanged) {
+        return entry;
+    }
+    
+    console.log('[SW] Stale offline write detected:', entry.method, entry.url);
+    
+    const mine = entry.method === 'DELETE' ? null : parseJson(entry.body);
+    const merge = mine ? mergeEntity(getEntityType(entry.url), entry.base, mine, theirs) : null;
+    
+    if (versioned && merge?.conflicts.length === 0) {
+        // Both sides changed different fields - apply my changes on top of theirs
+        const merged = {
+            ...entry,
+            body: JSON.stringify(merge.merged),
+            base: theirs,
+            baseVersion: serverVersion
+        };
+        await putOutboxEntry(merged);
+        
+        notifyClients('OFFLINE_WRITE_MERGED', describeOutboxEntry(merged));
+        return merged;
+    }
+    
+    const conflicted = {
+        ...entry,
+        status: 'conflict',
+        conflict: {
+            detectedAt: new Date().toISOString(),
+            serverVersion,
+            base: entry.base ?? null,
+            mine,
+            theirs,
+            merged: merge?.merged ?? null,
+            fields: merge?.conflicts ?? []
+        }
+    };
+    await putOutboxEntry(conflicted);
+    
+    notifyClients('OFFLINE_WRITE_CONFLICT', describeConflict(conflicted));
+    return null;
+}
+
+function mergeEntity(entityType, base, mine, theirs) {
+    const result = mergeFields(MERGEABLE_FIELDS[entityType] ?? [], base, mine, theirs, '');
+    
+    if (entityType === 'setlist' && Array.isArray(mine.setlistSongs)) {
+        const songsResult = mergeSetlistSongs(base?.setlistSongs, mine.setlistSongs, theirs?.setlistSongs);
+        result.merged.setlistSongs = songsResult.merged;
+        result.conflicts.push(...songsResult.conflicts);
+    }
+    
+    return result;
+}
+
+function mergeSetlistSongs(baseSongs = [], mineSongs = [], theirSongs = []) {
+    const byKey = list => new Map((list ?? []).map(item => [String(getSetlistSongKey(item)), item]));
+    const base = byKey(baseSongs);
+    const mine = byKey(mineSongs);
+    const theirs = byKey(theirSongs);
+    const fields = MERGEABLE_FIELDS.setlistSong;
+    const merged = [];
+    const conflicts = [];
+    
+    // Union of all three sides, so songs added on the server are not dropped
+    for (const id of new Set([...mine.keys(), ...theirs.keys(), ...base.keys()])) {
+        const baseSong = base.get(id);
+        const mineSong = mine.get(id);
+        const theirSong = theirs.get(id);
+        
+        if (mineSong && theirSong) {
+            const result = mergeFields(fields, baseSong, mineSong, theirSong, `setlistSongs.${id}.`);
+            merged.push(result.merged);
+            conflicts.push(...result.conflicts);
+        } else if (mineSong || theirSong) {
+            const kept = mineSong ?? theirSong;
+            
+            if (!baseSong) {
+                // Added on one side only
+                merged.push(kept);
+            } else if (!sameFields(fields, kept, baseSong)) {
+                // Removed on one side but edited on the other - the user decides; keep it until then
+                merged.push(kept);
+                conflicts.push({ field: `setlistSongs.${id}`, base: baseSong, mine: mineSong ?? null, theirs: theirSong ?? null });
+            }
+            // Otherwise removed on one side and untouched on the other - the removal stands
+        }
+    }
+    
+    merged.sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+    return { merged, conflicts };
+}
+
+function mergeFields(fields, base, mine, theirs, pathPrefix) {
+    const merged = { ...mine };
+    const conflicts = [];
+    
+    for (const field of fields) {
+        if (!(field in mine)) continue;
+        
+        const baseValue = base?.[field];
+        const mineValue = mine[field];
+        const theirValue = theirs?.[field];
+        
+        if (valuesEqual(mineValue, theirValue) || (base && valuesEqual(theirValue, baseValue))) {
+            merged[field] = mineValue;
+        } else if (base && valuesEqual(mineValue, baseValue)) {
+            merged[field] = theirValue;
+        } else {
+            // Both sides changed the field (or there is no base to tell) - keep mine until resolved
+            conflicts.push({ field: pathPrefix + field, base: baseValue ?? null, mine: mineValue ?? null, theirs: theirValue ?? null });
+        }
+    }
+    
+    return { merged, conflicts };
+}
+
+async function resolveConflict(id, strategy, fieldChoices = {}) {
+    const entry = await getOutboxEntry(id);
+    
+    if (entry?.status !== 'conflict') {
+        throw new Error(`No unresolved conflict for offline write ${id}`);
+    }
+    
+    const { mine, theirs, serverVersion, fields } = entry.conflict;
+    
+    if (strategy === 'theirs') {
+        // Drop my edit and refresh the cache with the server copy
+        await deleteOutboxEntry(id);
+        await putInCache(API_CACHE, entry.url, new Response(JSON.stringify(theirs), {
+            headers: { 'Content-Type': 'application/json' }
+        }));
+    } else if (strategy === 'mine' || strategy === 'merge') {
+        let body = entry.body;
+        
+        if (mine && strategy === 'merge') {
+            // Start from the automatic merge so non-conflicting server changes are kept
+            const resolved = structuredClone(entry.conflict.merged ?? mine);
+            for (const conflict of fields) {
+                const choice = fieldChoices[conflict.field] === 'theirs' ? conflict.theirs : conflict.mine;
+                setFieldByPath(resolved, conflict.field, choice);
+            }
+            body = JSON.stringify(resolved);
+        }
+        
+        const pending = { ...entry, body, base: theirs, baseVersion: serverVersion, resolvedAt: new Date().toISOString() };
+        delete pending.status;
+        delete pending.conflict;
+        await putOutboxEntry(pending);
+    } else {
+        throw new Error(`Unknown conflict resolution strategy: ${strategy}`);
+    }
+    
+    console.log('[SW] Offline write conflict resolved:', id, strategy);
+    notifyClients('OFFLINE_WRITE_RESOLVED', { ...describeOutboxEntry(entry), strategy });
+    
+    // Continue replaying whatever was queued behind the conflict
+    syncOfflineData().catch(error => {
+        console.log('[SW] Outbox replay paused:', error.message);
+    });
+}
+
+function setFieldByPath(target, path, value) {
+    const parts = path.split('.');
+    
+    if (parts[0] === 'setlistSongs' && parts.length === 2) {
+        // A whole setlist entry - null keeps it removed, a song keeps or restores it
+        const songs = target.setlistSongs ?? (target.setlistSongs = []);
+        const index = songs.findIndex(song => String(getSetlistSongKey(song)) === parts[1]);
+        if (index >= 0) {
+            songs.splice(index, 1);
+        }
+        if (value) {
+            songs.splice(index >= 0 ? index : songs.length, 0, value);
+        }
+    } else if (parts[0] === 'setlistSongs' && parts.length === 3) {
+        const item = (target.setlistSongs ?? []).find(song => String(getSetlistSongKey(song)) === parts[1]);
+        if (item) {
+            item[parts[2]] = value;
+        }
+    } else {
+        target[path] = value;
+    }
+}
+
+function getEntityType(url) {
+    const pathname = new URL(url).pathname;
+    return pathname.startsWith('/api/setlists') ? 'setlist' : 'song';
+}
+
+// Last-modified time reported by the API. A record without an updatedAt field has no
+// version - its creation date never changes, so it cannot reveal a later edit.
+// Songs report updatedAt: null until first edited, when the creation date is still current.
+function getEntityVersion(record) {
+    if (!record || !('updatedAt' in record)) {
+        return null;
+    }
+    
+    return record.updatedAt ?? record.createdAt ?? null;
+}
+
+function getSetlistSongKey(setlistSong) {
+    return setlistSong?.id ?? setlistSong?.songId;
+}
+
+function sameFields(fields, a, b) {
+    return fields.every(field => valuesEqual(a?.[field], b?.[field]));
+}
+
+function valuesEqual(a, b) {
+    return (a ?? null) === (b ?? null);
+}
+
+function parseJson(text) {
+    try {
+        return text ? JSON.parse(text) : null;
+    } catch {
+        return null;
+    }
+}
+
+async function getCachedEntity(url) {
+    const cachedResponse = await matchUserCache(url);
+    return cachedResponse ? parseJson(await cachedResponse.text()) : null;
+}
+
+function describeConflict(entry) {
+    return {
+        ...describeOutboxEntry(entry),
+        entityType: getEntityType(entry.url),
+        ...entry.conflict
+    };
+}
+
+/*
+ * OFFLINE SEARCH INDEX
+ * Every cached song and setlist is indexed in IndexedDB (title, artist, genre,
+ * tags, key, BPM) so offline searches are not limited to exact cached URLs.
+ * Results use the same JSON shape as SongsController and SetlistsController.
+ */
+async function indexCachedResponse(url, response) {
+    try {
+        const pathname = new URL(url).pathname;
+        const data = parseJson(await response.text());
+        if (!data) return;
+        
+        const records = pathname.startsWith('/api/songs')
+            ? extractEntities(data, 'songs').map(song => buildSongIndexRecord(song))
+            : extractEntities(data, 'setlists').map(setlist => buildSetlistIndexRecord(setlist));
+        
+        const indexable = records.filter(record => record.id !== undefined && record.id !== null);
+        if (indexable.length === 0) return;
+        
+        await withOfflineStore(SEARCH_INDEX_STORE, 'readwrite', store => {
+            for (const record of indexable) {
+                store.get(record.key).onsuccess = (event) => {
+                    store.put(mergeIndexRecord(event.target.result, record));
+                };
+            }
+        });
+    } catch (error) {
+        console.warn('[SW] Could not index cached response:', error.message);
+    }
+}
+
+// Lists arrive as { songs: [...] }, plain arrays, or a single entity
+function extractEntities(data, listProperty) {
+    if (Array.isArray(data)) return data;
+    if (Array.isArray(data[listProperty])) return data[listProperty];
+    return data.id === undefined ? [] : [data];
+}
+
+function buildSongIndexRecord(song) {
+    return {
+        key: `song:${song.id}`,
+        type: 'song',
+        id: song.id,
+        text: [song.title, song.artist, song.album].filter(Boolean).join(' ').toLowerCase(),
+        genre: (song.genre || '').toLowerCase(),
+        tags: (song.tags || '').toLowerCase(),
+        musicalKey: (song.musicalKey || '').toLowerCase(),
+        bpm: song.bpm ?? null,
+        indexedAt: Date.now(),
+        record: song
+    };
+}
+
+// Setlists come from list responses and detail responses alike; either way the stored record
+// has the SetlistResponse shape the search endpoint returns
+function buildSetlistIndexRecord(setlist, venue = setlist.venue) {
+    return {
+        key: `setlist:${setlist.id}`,
+        type: 'setlist',
+        id: setlist.id,
+        venue: venue ?? null,
+        text: [setlist.name, setlist.description, venue].filter(Boolean).join(' ').toLowerCase(),
+        indexedAt: Date.now(),
+        record: {
+            id: setlist.id,
+            name: setlist.name,
+            description: setlist.description ?? null,
+            createdDate: setlist.createdDate ?? setlist.createdAt,
+            updatedAt: setlist.updatedAt,
+            songCount: setlist.songCount ?? setlist.setlistSongs?.length ?? 0
+        }
+    };
+}
+
+// A list response doesn't carry the venue, so keep the one a detail response indexed
+function mergeIndexRecord(existing, record) {
+    if (record.type !== 'setlist' || record.venue || !existing?.venue) {
+        return record;
+    }
+    return buildSetlistIndexRecord(record.record, existing.venue);
+}
+
+async function searchOfflineIndex(url) {
+    const pathname = url.pathname;
+    const isSongSearch = pathname === SONG_SEARCH_PATH;
+    
+    if (!isSongSearch && pathname !== SETLIST_SEARCH_PATH) {
+        return null;
+    }
+    
+    if (!await getCurrentUserKey()) {
+        return null;
+    }
+    
+    const params = url.searchParams;
+    
+    // Both controllers reject a missing query - answer the same way offline
+    if (!(params.get('query') || '').trim()) {
+        return offlineSearchResponse(400, isSongSearch
+            ? { error: 'Query parameter is required' }
+            : { title: 'One or more validation errors occurred.', status: 400, errors: { query: ['The query field is required.'] } });
+    }
+    
+    const records = await withOfflineStore(SEARCH_INDEX_STORE, 'readonly', store =>
+        store.index('type').getAll(isSongSearch ? 'song' : 'setlist'));
+    
+    if (records.length === 0) {
+        // Nothing indexed yet - fall back to an exact cached response if there is one
+        return null;
+    }
+    
+    return offlineSearchResponse(200, isSongSearch ? searchSongs(records, params) : searchSetlists(records, params));
+}
+
+function offlineSearchResponse(status, body) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Served-From': 'offline-index'
+        }
+    });
+}
+
+function searchSongs(records, params) {
+    const query = (params.get('query') || '').trim().toLowerCase();
+    const genre = (params.get('genre') || '').trim().toLowerCase();
+    const tags = (params.get('tags') || '').trim().toLowerCase();
+    const musicalKey = (params.get('key') || params.get('musicalKey') || '').trim().toLowerCase();
+    const minBpm = Number.parseInt(params.get('minBpm'), 10);
+    const maxBpm = Number.parseInt(params.get('maxBpm'), 10);
+    
+    // The query matches title, artist and album, as in SongService
+    const matches = records.filter(record =>
+        record.text.includes(query) &&
+        (!genre || record.genre === genre) &&
+        (!tags || record.tags.includes(tags)) &&
+        (!musicalKey || record.musicalKey === musicalKey) &&
+        (Number.isNaN(minBpm) || (record.bpm !== null && record.bpm >= minBpm)) &&
+        (Number.isNaN(maxBpm) || (record.bpm !== null && record.bpm <= maxBpm)))
+        .map(record => record.record)
+        .sort((a, b) => (a.artist || '').localeCompare(b.artist || '') || (a.title || '').localeCompare(b.title || ''));
+    
+    // Same shape and paging as SongsController, which always returns the first page: { songs, totalCount }
+    return { songs: matches.slice(0, SEARCH_PAGE_SIZE), totalCount: matches.length };
+}
+
+function searchSetlists(records, params) {
+    const query = (params.get('query') || '').trim().toLowerCase();
+    const page = Math.max(1, Number.parseInt(params.get('page'), 10) || 1);
+    const limit = Number.parseInt(params.get('limit'), 10) || SEARCH_PAGE_SIZE;
+    
+    const matches = records
+        .filter(record => record.text.includes(query))
+        .map(record => record.record)
+        .sort((a, b) => new Date(b.createdDate ?? 0) - new Date(a.createdDate ?? 0));
+    
+    // Same shape as SetlistsController: an array of SetlistResponse objects
+    return matches.slice((page - 1) * limit, page * limit);
+}
+
+/*
+ * PER-USER CACHE ISOLATION
+ * The app reports the signed-in user (a hash, never the raw id) over the live
+ * Blazor circuit. User data is wiped on logout, session expiry, a change of
+ * user, or when the app asks for it.
+ */
+let currentUserKey;
+
+async function getCurrentUserKey() {
+    // The worker can be restarted at any time - fall back to the persisted key
+    if (currentUserKey === undefined) {
+        const session = await withOfflineStore(SESSION_STORE, 'readonly', store => store.get('currentUser'));
+        currentUserKey = session?.userKey ?? null;
+    }
+    
+    return currentUserKey;
+}
+
+async function getUserCacheName(kind) {
+    const userKey = await getCurrentUserKey();
+    return userKey ? buildUserCacheName(kind, userKey) : null;
+}
+
+async function matchUserCache(request) {
+    for (const kind of [API_CACHE, DYNAMIC_CACHE]) {
+        const cacheName = await getUserCacheName(kind);
+        const cachedResponse = cacheName ? await caches.match(request, { cacheName }) : null;
+        
+        if (cachedResponse) {
+            // Every read counts as a use, so eviction really is least recently used
+            recordCacheAccess(request);
+            return cachedResponse;
+        }
+    }
+    
+    return null;
+}
+
+async function setCurrentUser(userKey) {
+    const previousUserKey = await getCurrentUserKey();
+    const nextUserKey = userKey || null;
+    
+    if (previousUserKey === nextUserKey) {
+        return;
+    }
+    
+    const session = await withOfflineStore(SESSION_STORE, 'readonly', store => store.get('currentUser'));
+    const suspendedUserKey = session?.suspendedUserKey ?? null;
+    
+    if (previousUserKey) {
+        // Someone else signed in (or the session ended) without a logout we saw
+        await purgeUserData(nextUserKey ? 'user-changed' : 'signed-out');
+    } else if (suspendedUserKey && nextUserKey !== suspendedUserKey) {
+        // A different person signed in after a session expired - the held data is not theirs
+        await purgeUserData('user-changed');
+    } else if (suspendedUserKey) {
+        console.log('[SW] Same user signed in again - restoring held offline data');
+    }
+    
+    currentUserKey = nextUserKey;
+    await withOfflineStore(SESSION_STORE, 'readwrite', store => store.put({ key: 'currentUser', userKey: nextUserKey }));
+    console.log('[SW] Cache partition set for', nextUserKey ? 'signed-in user' : 'signed-out visitor');
+}
+
+// An expired session (a 401 or a redirect to login) stops serving the user's data but keeps it,
+// queued edits included, until we know who signs in next: the same user gets it all back and
+// the outbox replays; anyone else triggers a purge that reports what was lost.
+async function suspendUserData() {
+    const userKey = await getCurrentUserKey();
+    if (!userKey) {
+        return;
+    }
+    
+    currentUserKey = null;
+    await withOfflineStore(SESSION_STORE, 'readwrite', store => store.put({ key: 'currentUser', userKey: null, suspendedUserKey: userKey }));
+    
+    const pendingWrites = (await getOutboxEntries()).length;
+    console.log('[SW] Session expired - holding offline data until the user signs in again');
+    notifyClients('USER_DATA_SUSPENDED', { reason: 'session-expired', pendingWrites });
+}
+
+async function purgeUserData(reason) {
+    console.log('[SW] Purging user data:', reason);
+    
+    // Edits that never reached the server are lost with the rest - say so
+    const discardedWrites = (await getOutboxEntries()).length;
+    if (discardedWrites > 0) {
+        console.warn('[SW] Discarding unsynced offline writes:', discardedWrites);
+    }
+    
+    const cacheNames = await caches.keys();
+    await Promise.all(cacheNames
+        .filter(cacheName => Object.values(USER_CACHE_PREFIXES).some(prefix => cacheName.startsWith(prefix)))
+        .map(cacheName => caches.delete(cacheName)));
+    
+    // Pre-cached pages in the shared shell were rendered for the signed-in user
+    const shellCache = await caches.open(CACHE_NAME);
+    await Promise.all(['/', '/_Host'].map(page => shellCache.delete(page)));
+    
+    for (const storeName of [OUTBOX_STORE, CACHE_METADATA_STORE, PINNED_SETLISTS_STORE, SEARCH_INDEX_STORE, SESSION_STORE]) {
+        await withOfflineStore(storeName, 'readwrite', store => store.clear());
+    }
+    
+    currentUserKey = null;
+    await registerPeriodicRefresh({ enabled: false });
+    notifyClients('USER_DATA_PURGED', { reason, discardedWrites });
+    
+    // The refresh schedule lived in the session store too - settings screens show the reset
+    notifyClients('REFRESH_SCHEDULE_RESET', describeRefreshSchedule(await getRefreshSchedule()));
+}
+
+/*
+ * OFFLINE OUTBOX (IndexedDB)
+ * Persistent, ordered queue of song and setlist writes made while offline
+ */
+function openOfflineDatabase() {
+    return new Promise((resolve, reject) => {
+        const openRequest = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+        
+        openRequest.onupgradeneeded = () => {
+            const db = openRequest.result;
+            if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+                db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+            }
+            if (!db.objectStoreNames.contains(CACHE_METADATA_STORE)) {
+                db.createObjectStore(CACHE_METADATA_STORE, { keyPath: 'url' });
+            }
+            if (!db.objectStoreNames.contains(PINNED_SETLISTS_STORE)) {
+                db.createObjectStore(PINNED_SETLISTS_STORE, { keyPath: 'setlistId' });
+            }
+            if (!db.objectStoreNames.contains(SESSION_STORE)) {
+                db.createObjectStore(SESSION_STORE, { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains(SEARCH_INDEX_STORE)) {
+                const searchIndex = db.createObjectStore(SEARCH_INDEX_STORE, { keyPath: 'key' });
+                searchIndex.createIndex('type', 'type');
+            }
+        };
+        
+        openRequest.onsuccess = () => resolve(openRequest.result);
+        openRequest.onerror = () => reject(openRequest.error);
+    });
+}
+
+async function withOfflineStore(storeName, mode, operation) {
+    const db = await openOfflineDatabase();
+    
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            
+            transaction.oncomplete = () => resolve(request?.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+async function enqueueOfflineWrite(request) {
+    const headers = {};
+    for (const name of REPLAYED_HEADERS) {
+        const value = request.headers.get(name);
+        if (value !== null) {
+            headers[name] = value;
+        }
+    }
+    
+    const entry = {
+        method: request.method,
+        url: request.url,
+        headers,
+        body: await request.text(),
+        queuedAt: new Date().toISOString()
+    };
+    
+    if (CONFLICT_CHECKED_METHODS.includes(request.method)) {
+        // Remember which version was edited so replay can detect stale writes
+        entry.base = await getCachedEntity(request.url);
+        entry.baseVersion = headers['x-base-version'] ?? getEntityVersion(entry.base);
+    }
+    
+    entry.id = await withOfflineStore(OUTBOX_STORE, 'readwrite', store => store.add(entry));
+    return entry;
+}
+
+function getOutboxEntries() {
+    // Auto-increment keys keep the entries in the order they were queued
+    return withOfflineStore(OUTBOX_STORE, 'readonly', store => store.getAll());
+}
+
+function getOutboxEntry(id) {
+    return withOfflineStore(OUTBOX_STORE, 'readonly', store => store.get(id));
+}
+
+function putOutboxEntry(entry) {
+    return withOfflineStore(OUTBOX_STORE, 'readwrite', store => store.put(entry));
+}
+
+function deleteOutboxEntry(id) {
+    return withOfflineStore(OUTBOX_STORE, 'readwrite', store => store.delete(id));
+}
 
-async function syncOfflineData() {
-    // Future: Implement background sync for offline changes
-    console.log('[SW] Background sync not yet implemented');
+function describeOutboxEntry(entry) {
+    return {
+        id: entry.id,
+        method: entry.method,
+        url: new URL(entry.url).pathname,
+        queuedAt: entry.queuedAt,
+        status: entry.status ?? 'pending'
+    };
 }
 
 /*
@@ -97,7 +97,7 @@ public class LayoutTests : IClassFixture<TestWebApplicationFactory>
     }
 
     [Fact]
-    public void Layout_ShouldIncludeTitle()
+    public void Layout_ShouldLeaveTitleToHeadOutlet()
     {
         // Arrange
         var layoutPath = "src/SetlistStudio.Web/Pages/Shared/_Layout.cshtml";
@@ -108,7 +108,8 @@ public class LayoutTests : IClassFixture<TestWebApplicationFactory>
             var content = System.IO.File.ReadAllText(layoutPath);
             
             // Assert
-            content.Should().Contain("<title>", "_Layout.cshtml should contain title tag");
+            content.Should().NotContain("<title>", "a static title would precede and shadow the page's PageTitle");
+            content.Should().Contain("HeadOutlet", "_Layout.cshtml should render each page's PageTitle");
         }
     }
 
@@ -1116,6 +1116,46 @@ public class MainLayoutTests : TestContext
         component.Markup.Should().Contain("main-content", "MainLayout should wrap body content in main element");
     }
 
+    [Fact]
+    public void MainLayout_ShouldAnnounceRouteChange_AfterNavigatingToAnotherPage()
+    {
+        // Arrange
+        SetupAuthenticatedUser();
+        var component = RenderComponent<CascadingAuthenticationState>(parameters => parameters
+            .AddChildContent(childBuilder => 
+            {
+                childBuilder.OpenComponent<MainLayout>(0);
+                childBuilder.CloseComponent();
+            }));
+        var navigation = Services.GetRequiredService<NavigationManager>();
+
+        // Act
+        navigation.NavigateTo("/setlists");
+
+        // Assert
+        component.WaitForAssertion(() => JSInterop.VerifyInvoke("setlistStudioApp.onNavigated"));
+    }
+
+    [Fact]
+    public void MainLayout_ShouldNotAnnounceRouteChange_WhenOnlyFragmentChanges()
+    {
+        // Arrange
+        SetupAuthenticatedUser();
+        RenderComponent<CascadingAuthenticationState>(parameters => parameters
+            .AddChildContent(childBuilder => 
+            {
+                childBuilder.OpenComponent<MainLayout>(0);
+                childBuilder.CloseComponent();
+            }));
+        var navigation = Services.GetRequiredService<NavigationManager>();
+
+        // Act - Skip link to #main-content stays on the same page
+        navigation.NavigateTo("#main-content");
+
+        // Assert
+        JSInterop.Invocations.Should().NotContain(invocation => invocation.Identifier == "setlistStudioApp.onNavigated");
+    }
+
     // Helper method to get private fields using reflection
     private static T GetPrivateField<T>(object obj, string fieldName)
     {
@@ -6,6 +6,7 @@ using SetlistStudio.Core.Entities;
 using SetlistStudio.Core.Interfaces;
 using SetlistStudio.Web.Controllers;
 using SetlistStudio.Web.Models;
+using SetlistStudio.Web.Utilities;
 using System.Security.Claims;
 using Xunit;
 using FluentAssertions;
@@ -116,6 +117,72 @@ public class SetlistsControllerTests
         result.Result.Should().BeOfType<OkObjectResult>();
     }
 
+    [Fact]
+    public async Task GetSetlist_ShouldReportLastModificationAsUpdatedAt()
+    {
+        // Arrange
+        var createdAt = new DateTime(2026, 10, 1, 12, 0, 0, DateTimeKind.Utc);
+        var updatedAt = new DateTime(2026, 10, 18, 21, 30, 0, DateTimeKind.Utc);
+        _mockSetlistService
+            .Setup(s => s.GetSetlistByIdAsync(1, "test-user"))
+            .ReturnsAsync(new Setlist { Id = 1, Name = "Edited", UserId = "test-user", CreatedAt = createdAt, UpdatedAt = updatedAt });
+        _mockSetlistService
+            .Setup(s => s.GetSetlistByIdAsync(2, "test-user"))
+            .ReturnsAsync(new Setlist { Id = 2, Name = "Never Edited", UserId = "test-user", CreatedAt = createdAt });
+
+        // Act
+        var edited = await _controller.GetSetlist(1);
+        var neverEdited = await _controller.GetSetlist(2);
+
+        // Assert
+        var editedResponse = edited.Result.Should().BeOfType<OkObjectResult>().Subject.Value.Should().BeAssignableTo<SetlistResponse>().Subject;
+        editedResponse.UpdatedAt.Should().Be(updatedAt);
+        var neverEditedResponse = neverEdited.Result.Should().BeOfType<OkObjectResult>().Subject.Value.Should().BeAssignableTo<SetlistResponse>().Subject;
+        neverEditedResponse.UpdatedAt.Should().Be(createdAt);
+    }
+
+    [Fact]
+    public async Task GetSetlist_ShouldEmbedSongsInPerformanceOrder()
+    {
+        // Arrange
+        var opener = new Song { Id = 10, Title = "Opener", Artist = "Band", Bpm = 120, MusicalKey = "C", Notes = "Count in from drums", UserId = "test-user" };
+        var closer = new Song { Id = 11, Title = "Closer", Artist = "Band", Bpm = 90, MusicalKey = "G", UserId = "test-user" };
+        var setlist = new Setlist
+        {
+            Id = 1,
+            Name = "Friday Gig",
+            Venue = "The Blue Note",
+            UserId = "test-user",
+            SetlistSongs = new List<SetlistSong>
+            {
+                new SetlistSong { Id = 2, Position = 2, SongId = 11, Song = closer, IsEncore = true },
+                new SetlistSong { Id = 1, Position = 1, SongId = 10, Song = opener, CustomKey = "D", CustomBpm = 126, TransitionNotes = "Straight into the next one" }
+            }
+        };
+
+        _mockSetlistService
+            .Setup(s => s.GetSetlistByIdAsync(1, "test-user"))
+            .ReturnsAsync(setlist);
+
+        // Act
+        var result = await _controller.GetSetlist(1);
+
+        // Assert
+        var okResult = result.Result.Should().BeOfType<OkObjectResult>().Subject;
+        var response = okResult.Value.Should().BeOfType<SetlistDetailResponse>().Subject;
+        response.Venue.Should().Be("The Blue Note");
+        response.SetlistSongs.Select(ss => ss.SongId).Should().Equal(10, 11);
+
+        var first = response.SetlistSongs[0];
+        first.CustomKey.Should().Be("D");
+        first.CustomBpm.Should().Be(126);
+        first.TransitionNotes.Should().Be("Straight into the next one");
+        first.Song!.Title.Should().Be("Opener");
+        first.Song.MusicalKey.Should().Be("C");
+        first.Song.Notes.Should().Be("Count in from drums");
+        response.SetlistSongs[1].IsEncore.Should().BeTrue();
+    }
+
     [Fact]
     public async Task GetSetlist_WithNonExistentId_ReturnsNotFound()
     {
@@ -224,6 +291,88 @@ public class SetlistsControllerTests
         statusResult.Value.Should().Be("Internal server error");
     }
 
+    [Fact]
+    public async Task UpdateSetlist_WithCurrentBaseVersion_KeepsOtherFieldsAndSongs()
+    {
+        // Arrange
+        var updatedAt = new DateTime(2026, 10, 18, 21, 30, 0, DateTimeKind.Utc);
+        var existing = new Setlist
+        {
+            Id = 1,
+            Name = "Friday Gig",
+            Venue = "The Blue Note",
+            UserId = "test-user",
+            UpdatedAt = updatedAt,
+            SetlistSongs = new List<SetlistSong>
+            {
+                new SetlistSong { Id = 1, Position = 1, SongId = 10, Song = new Song { Id = 10, Title = "Opener", Artist = "Band" } }
+            }
+        };
+        _mockSetlistService.Setup(s => s.GetSetlistByIdAsync(1, "test-user")).ReturnsAsync(existing);
+        _mockSetlistService
+            .Setup(s => s.UpdateSetlistAsync(It.IsAny<Setlist>(), "test-user"))
+            .ReturnsAsync((Setlist setlist, string _) => setlist);
+        _controller.Request.Headers[EntityVersionUtility.BaseVersionHeader] = updatedAt.ToString("O");
+
+        // Act
+        var result = await _controller.UpdateSetlist(1, new UpdateSetlistRequest { Name = "Saturday Gig" });
+
+        // Assert
+        var response = result.Result.Should().BeOfType<OkObjectResult>().Subject.Value.Should().BeOfType<SetlistDetailResponse>().Subject;
+        response.Name.Should().Be("Saturday Gig");
+        response.SetlistSongs.Should().ContainSingle().Which.Song!.Title.Should().Be("Opener");
+        _mockSetlistService.Verify(s => s.UpdateSetlistAsync(
+            It.Is<Setlist>(setlist => setlist.Id == 1 && setlist.Name == "Saturday Gig" && setlist.Venue == "The Blue Note"),
+            "test-user"), Times.Once);
+    }
+
+    [Fact]
+    public async Task UpdateSetlist_WithStaleBaseVersion_ReturnsConflict()
+    {
+        // Arrange
+        var createdAt = new DateTime(2026, 10, 1, 12, 0, 0, DateTimeKind.Utc);
+        _mockSetlistService.Setup(s => s.GetSetlistByIdAsync(1, "test-user"))
+            .ReturnsAsync(new Setlist { Id = 1, Name = "Renamed by a bandmate", UserId = "test-user", CreatedAt = createdAt, UpdatedAt = createdAt.AddDays(1) });
+        _controller.Request.Headers[EntityVersionUtility.BaseVersionHeader] = createdAt.ToString("O");
+
+        // Act
+        var result = await _controller.UpdateSetlist(1, new UpdateSetlistRequest { Name = "Mine" });
+
+        // Assert
+        result.Result.Should().BeOfType<ConflictObjectResult>();
+        _mockSetlistService.Verify(s => s.UpdateSetlistAsync(It.IsAny<Setlist>(), It.IsAny<string>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task DeleteSetlist_WithStaleBaseVersion_ReturnsConflict()
+    {
+        // Arrange
+        var createdAt = new DateTime(2026, 10, 1, 12, 0, 0, DateTimeKind.Utc);
+        _mockSetlistService.Setup(s => s.GetSetlistByIdAsync(1, "test-user"))
+            .ReturnsAsync(new Setlist { Id = 1, Name = "Gig", UserId = "test-user", CreatedAt = createdAt, UpdatedAt = createdAt.AddDays(1) });
+        _controller.Request.Headers[EntityVersionUtility.BaseVersionHeader] = createdAt.ToString("O");
+
+        // Act
+        var result = await _controller.DeleteSetlist(1);
+
+        // Assert
+        result.Should().BeOfType<ConflictObjectResult>();
+        _mockSetlistService.Verify(s => s.DeleteSetlistAsync(It.IsAny<int>(), It.IsAny<string>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task DeleteSetlist_WithNonExistentId_ReturnsNotFound()
+    {
+        // Arrange
+        _mockSetlistService.Setup(s => s.GetSetlistByIdAsync(999, "test-user")).ReturnsAsync((Setlist?)null);
+
+        // Act
+        var result = await _controller.DeleteSetlist(999);
+
+        // Assert
+        result.Should().BeOfType<NotFoundResult>();
+    }
+
     private void SetupAuthenticatedUser(string userId)
     {
         var claims = new List<Claim>
@@ -5,6 +5,7 @@ using Moq;
 using SetlistStudio.Core.Entities;
 using SetlistStudio.Core.Interfaces;
 using SetlistStudio.Web.Controllers;
+using SetlistStudio.Web.Utilities;
 using System.Security.Claims;
 using Xunit;
 using FluentAssertions;
@@ -209,6 +210,105 @@ public class SongsControllerTests
         result.Should().BeOfType<CreatedAtActionResult>();
     }
 
+    [Fact]
+    public async Task GetSong_WithValidId_ReturnsOkWithSong()
+    {
+        // Arrange
+        var song = new Song { Id = 5, Title = "Test Song", Artist = "Test Artist", UserId = "test-user" };
+        _mockSongService.Setup(s => s.GetSongByIdAsync(5, "test-user")).ReturnsAsync(song);
+
+        // Act
+        var result = await _controller.GetSong(5);
+
+        // Assert
+        result.Should().BeOfType<OkObjectResult>().Which.Value.Should().Be(song);
+    }
+
+    [Fact]
+    public async Task GetSong_WithNonExistentId_ReturnsNotFound()
+    {
+        // Arrange
+        _mockSongService.Setup(s => s.GetSongByIdAsync(999, "test-user")).ReturnsAsync((Song?)null);
+
+        // Act
+        var result = await _controller.GetSong(999);
+
+        // Assert
+        result.Should().BeOfType<NotFoundResult>();
+    }
+
+    [Fact]
+    public async Task UpdateSong_WithCurrentBaseVersion_UpdatesSong()
+    {
+        // Arrange
+        var updatedAt = new DateTime(2026, 10, 18, 21, 30, 0, DateTimeKind.Utc);
+        var existing = new Song { Id = 5, Title = "Old", Artist = "Band", Tags = "wedding", UserId = "test-user", UpdatedAt = updatedAt };
+        _mockSongService.Setup(s => s.GetSongByIdAsync(5, "test-user")).ReturnsAsync(existing);
+        _mockSongService
+            .Setup(s => s.UpdateSongAsync(It.IsAny<Song>(), "test-user"))
+            .ReturnsAsync((Song song, string _) => song);
+        _controller.Request.Headers[EntityVersionUtility.BaseVersionHeader] = updatedAt.ToString("O");
+        var request = new UpdateSongRequest { Title = "New", Artist = "Band", Bpm = 128, MusicalKey = "Am", Tags = "wedding" };
+
+        // Act
+        var result = await _controller.UpdateSong(5, request);
+
+        // Assert
+        result.Should().BeOfType<OkObjectResult>();
+        _mockSongService.Verify(s => s.UpdateSongAsync(
+            It.Is<Song>(song => song.Id == 5 && song.Title == "New" && song.Bpm == 128 && song.MusicalKey == "Am" && song.Tags == "wedding"),
+            "test-user"), Times.Once);
+    }
+
+    [Fact]
+    public async Task UpdateSong_WithStaleBaseVersion_ReturnsConflict()
+    {
+        // Arrange
+        var createdAt = new DateTime(2026, 10, 1, 12, 0, 0, DateTimeKind.Utc);
+        var existing = new Song { Id = 5, Title = "Edited by a bandmate", Artist = "Band", UserId = "test-user", CreatedAt = createdAt, UpdatedAt = createdAt.AddDays(1) };
+        _mockSongService.Setup(s => s.GetSongByIdAsync(5, "test-user")).ReturnsAsync(existing);
+        _controller.Request.Headers[EntityVersionUtility.BaseVersionHeader] = createdAt.ToString("O");
+
+        // Act
+        var result = await _controller.UpdateSong(5, new UpdateSongRequest { Title = "Mine", Artist = "Band" });
+
+        // Assert
+        result.Should().BeOfType<ConflictObjectResult>();
+        _mockSongService.Verify(s => s.UpdateSongAsync(It.IsAny<Song>(), It.IsAny<string>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task DeleteSong_WithStaleBaseVersion_ReturnsConflict()
+    {
+        // Arrange
+        var createdAt = new DateTime(2026, 10, 1, 12, 0, 0, DateTimeKind.Utc);
+        var existing = new Song { Id = 5, Title = "Song", Artist = "Band", UserId = "test-user", CreatedAt = createdAt, UpdatedAt = createdAt.AddDays(1) };
+        _mockSongService.Setup(s => s.GetSongByIdAsync(5, "test-user")).ReturnsAsync(existing);
+        _controller.Request.Headers[EntityVersionUtility.BaseVersionHeader] = createdAt.ToString("O");
+
+        // Act
+        var result = await _controller.DeleteSong(5);
+
+        // Assert
+        result.Should().BeOfType<ConflictObjectResult>();
+        _mockSongService.Verify(s => s.DeleteSongAsync(It.IsAny<int>(), It.IsAny<string>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task DeleteSong_WithoutBaseVersion_DeletesSong()
+    {
+        // Arrange
+        _mockSongService.Setup(s => s.GetSongByIdAsync(5, "test-user"))
+            .ReturnsAsync(new Song { Id = 5, Title = "Song", Artist = "Band", UserId = "test-user" });
+        _mockSongService.Setup(s => s.DeleteSongAsync(5, "test-user")).ReturnsAsync(true);
+
+        // Act
+        var result = await _controller.DeleteSong(5);
+
+        // Assert
+        result.Should().BeOfType<NoContentResult>();
+    }
+
     private void SetupAuthenticatedUser(string userId)
     {
         var claims = new List<Claim>
@@ -0,0 +1,66 @@
+using FluentAssertions;
+using SetlistStudio.Web.Models;
+using System.Text.Json;
+using Xunit;
+
+namespace SetlistStudio.Tests.Web.Models;
+
+/// <summary>
+/// Tests for the offline readiness report returned by the service worker
+/// </summary>
+public class OfflineCacheStatusTests
+{
+    [Fact]
+    public void OfflineCacheStatus_ShouldHaveEmptyDefaults()
+    {
+        // Arrange & Act
+        var status = new OfflineCacheStatus();
+
+        // Assert
+        status.Caches.Should().BeEmpty();
+        status.Setlists.Should().BeEmpty();
+        status.Songs.Should().BeEmpty();
+        status.PinnedSetlists.Should().BeEmpty();
+        status.Storage.Should().NotBeNull();
+        status.Storage.Persisted.Should().BeFalse();
+    }
+
+    [Fact]
+    public void OfflineCacheStatus_ShouldDeserializeServiceWorkerReport()
+    {
+        // Arrange - Same camelCase shape getCacheStatus() returns to Blazor
+        var json = """
+            {
+                "generatedAt": "2026-10-19T18:00:00.000Z",
+                "version": "abc123",
+                "storage": { "usage": 2048, "quota": 1000000, "cachedBytes": 1024, "persisted": true },
+                "caches": {
+                    "setlist-studio-api-0123456789abcdef.abc123": { "entries": 3, "bytes": 900 }
+                },
+                "setlists": [
+                    { "id": "7", "name": "Friday Gig", "lastSynced": "2026-10-19T17:00:00.000Z", "stale": false, "pinned": true }
+                ],
+                "songs": [
+                    { "id": "12", "name": "Wonderwall", "lastSynced": "2026-10-17T17:00:00.000Z", "stale": true, "pinned": false }
+                ],
+                "pinnedSetlists": [
+                    { "setlistId": "7", "name": "Friday Gig", "songsReady": 12, "songsTotal": 14, "ready": false, "complete": false }
+                ]
+            }
+            """;
+
+        // Act
+        var status = JsonSerializer.Deserialize<OfflineCacheStatus>(json, new JsonSerializerOptions(JsonSerializerDefaults.Web));
+
+        // Assert
+        status.Should().NotBeNull();
+        status!.Version.Should().Be("abc123");
+        status.Storage.Quota.Should().Be(1000000);
+        status.Storage.Persisted.Should().BeTrue();
+        status.Caches.Should().ContainKey("setlist-studio-api-0123456789abcdef.abc123");
+        status.Caches["setlist-studio-api-0123456789abcdef.abc123"].Entries.Should().Be(3);
+        status.Setlists.Should().ContainSingle(s => s.Id == "7" && s.Pinned && !s.Stale);
+        status.Songs.Should().ContainSingle(s => s.Id == "12" && s.Stale);
+        status.PinnedSetlists.Should().ContainSingle(p => p.SongsReady == 12 && p.SongsTotal == 14 && !p.Complete);
+    }
+}
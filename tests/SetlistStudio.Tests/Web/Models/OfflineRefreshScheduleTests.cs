@@ -0,0 +1,58 @@
+using FluentAssertions;
+using SetlistStudio.Web.Models;
+using System.Text.Json;
+using Xunit;
+
+namespace SetlistStudio.Tests.Web.Models;
+
+/// <summary>
+/// Tests for the pinned setlist refresh schedule returned by the service worker
+/// </summary>
+public class OfflineRefreshScheduleTests
+{
+    [Fact]
+    public void OfflineRefreshSchedule_ShouldDeserializeServiceWorkerSchedule()
+    {
+        // Arrange - Same camelCase shape getRefreshSchedule() returns to Blazor
+        var json = """
+            {
+                "enabled": true,
+                "intervalMinutes": 720,
+                "periodicSync": false,
+                "lastAttemptAt": "2026-10-19T18:00:00.000Z",
+                "lastSuccessAt": "2026-10-19T06:00:00.000Z",
+                "lastResult": { "trigger": "focus", "refreshed": 1, "total": 2 }
+            }
+            """;
+
+        // Act
+        var schedule = JsonSerializer.Deserialize<OfflineRefreshSchedule>(json, new JsonSerializerOptions(JsonSerializerDefaults.Web));
+
+        // Assert
+        schedule.Should().NotBeNull();
+        schedule!.Enabled.Should().BeTrue();
+        schedule.IntervalMinutes.Should().Be(720);
+        schedule.PeriodicSync.Should().BeFalse();
+        schedule.LastSuccessAt.Should().Be(new DateTime(2026, 10, 19, 6, 0, 0, DateTimeKind.Utc));
+        schedule.LastResult.Should().NotBeNull();
+        schedule.LastResult!.Trigger.Should().Be("focus");
+        schedule.LastResult.Refreshed.Should().Be(1);
+        schedule.LastResult.Total.Should().Be(2);
+    }
+
+    [Fact]
+    public void OfflineRefreshSchedule_ShouldAllowNeverRefreshed()
+    {
+        // Arrange
+        var json = """{ "enabled": false, "intervalMinutes": 720, "lastAttemptAt": null, "lastSuccessAt": null, "lastResult": null }""";
+
+        // Act
+        var schedule = JsonSerializer.Deserialize<OfflineRefreshSchedule>(json, new JsonSerializerOptions(JsonSerializerDefaults.Web));
+
+        // Assert
+        schedule.Should().NotBeNull();
+        schedule!.Enabled.Should().BeFalse();
+        schedule.LastSuccessAt.Should().BeNull();
+        schedule.LastResult.Should().BeNull();
+    }
+}
@@ -1096,6 +1096,81 @@ public class SetlistsTests : TestContext
 
     #endregion
 
+    #region OpenStageView Method Tests
+
+    [Fact]
+    public async Task OpenStageView_ShouldOpenStageViewForSetlist()
+    {
+        // Arrange
+        var component = CreateSetlistsComponent();
+        _mockJSRuntime.Setup(js => js.InvokeAsync<bool>("setlistStudioApp.stage.open", It.IsAny<object[]>()))
+                     .Returns(ValueTask.FromResult(true));
+
+        // Act
+        await InvokePrivateMethodAsync(component, "OpenStageView", 7);
+
+        // Assert
+        _mockJSRuntime.Verify(js => js.InvokeAsync<bool>("setlistStudioApp.stage.open", 
+            It.Is<object[]>(args => args.Length == 1 && (int)args[0] == 7)), Times.Once);
+    }
+
+    [Fact]
+    public async Task OpenStageView_ShouldLogErrorWhenJavaScriptFails()
+    {
+        // Arrange
+        var component = CreateSetlistsComponent();
+        _mockJSRuntime.Setup(js => js.InvokeAsync<bool>("setlistStudioApp.stage.open", It.IsAny<object[]>()))
+                     .Throws(new JSException("JavaScript error"));
+
+        // Act & Assert - Should not throw exception
+        await InvokePrivateMethodAsync(component, "OpenStageView", 7);
+
+        _mockLogger.Verify(
+            x => x.Log(
+                LogLevel.Error,
+                It.IsAny<EventId>(),
+                It.Is<It.IsAnyType>((v, t) => v.ToString()!.Contains("Error opening stage view for setlist 7")),
+                It.IsAny<JSException>(),
+                It.IsAny<Func<It.IsAnyType, Exception?, string>>()),
+            Times.Once);
+    }
+
+    #endregion
+
+    #region CacheSetlistsData Method Tests
+
+    [Fact]
+    public async Task CacheSetlistsData_ShouldStoreSongsInPerformanceOrderWithoutCycles()
+    {
+        // Arrange
+        var component = CreateSetlistsComponent();
+        var setlist = new Setlist { Id = 1, Name = "Friday Gig", UserId = "test-user" };
+        var opener = new Song { Id = 10, Title = "Opener", Artist = "Band", MusicalKey = "C", UserId = "test-user" };
+        var closer = new Song { Id = 11, Title = "Closer", Artist = "Band", MusicalKey = "G", UserId = "test-user" };
+        var closerEntry = new SetlistSong { Id = 2, Position = 2, SetlistId = 1, Setlist = setlist, SongId = 11, Song = closer };
+        var openerEntry = new SetlistSong { Id = 1, Position = 1, SetlistId = 1, Setlist = setlist, SongId = 10, Song = opener, CustomKey = "D" };
+        setlist.SetlistSongs = new List<SetlistSong> { closerEntry, openerEntry };
+        opener.SetlistSongs.Add(openerEntry);
+        closer.SetlistSongs.Add(closerEntry);
+
+        string? cachedJson = null;
+        _mockJSRuntime.Setup(js => js.InvokeAsync<IJSVoidResult>("localStorage.setItem", It.IsAny<object[]>()))
+                     .Callback<string, object[]>((_, args) => cachedJson = (string)args[1])
+                     .Returns(ValueTask.FromResult<IJSVoidResult>(null!));
+
+        // Act
+        await InvokePrivateMethodAsync(component, "CacheSetlistsData", new List<Setlist> { setlist });
+
+        // Assert
+        cachedJson.Should().NotBeNull("the setlists should be cached despite the back-references");
+        var cached = JsonSerializer.Deserialize<List<Setlist>>(cachedJson!)!.Single();
+        cached.SetlistSongs.Select(ss => ss.Song.Title).Should().Equal("Opener", "Closer");
+        cached.SetlistSongs.First().CustomKey.Should().Be("D");
+        cached.SetlistSongs.First().Song.MusicalKey.Should().Be("C");
+    }
+
+    #endregion
+
     #region PerformSearch Method Tests
 
     [Fact]
@@ -4,6 +4,7 @@ using Microsoft.Extensions.DependencyInjection;
 using Microsoft.JSInterop;
 using MudBlazor;
 using MudBlazor.Services;
+using SetlistStudio.Web.Models;
 using SetlistStudio.Web.Shared;
 using Xunit;
 
@@ -28,8 +29,8 @@ public class ConnectionStatusTests : TestContext
         
         // Set up only the essential JS methods that are always called
         // Use loose matching for methods that accept DotNetObjectReference parameters
-        JSInterop.SetupVoid("setlistStudioApp.registerConnectionStatusCallback", _ => true);
-        JSInterop.SetupVoid("setlistStudioApp.unregisterConnectionStatusCallback", _ => true);
+        JSInterop.Setup<int>("setlistStudioApp.connectivity.subscribe", _ => true).SetResult(1);
+        JSInterop.SetupVoid("setlistStudioApp.connectivity.unsubscribe", _ => true);
         JSInterop.Setup<bool>("navigator.onLine").SetResult(true); // Default to online
     }
 
@@ -103,6 +104,36 @@ public class ConnectionStatusTests : TestContext
         component.Markup.Should().Contain("connection-status-container");
     }
 
+    [Fact]
+    public async Task ConnectionStatus_WhenConnectivityReportsOffline_ShouldShowPerformanceModeAlert()
+    {
+        // Arrange - Captive portal: the browser thinks it's online but the server can't be reached
+        var component = RenderComponent<ConnectionStatus>();
+
+        // Act
+        await component.InvokeAsync(() => component.Instance.OnConnectivityChanged(
+            new ConnectivityStatus { State = "offline", BrowserOnline = true, Failures = 2 }));
+
+        // Assert
+        component.Markup.Should().Contain("Performance Mode Active");
+        component.Markup.Should().NotContain("Weak Connection");
+    }
+
+    [Fact]
+    public async Task ConnectionStatus_WhenConnectivityReportsDegraded_ShouldShowWeakConnectionAlert()
+    {
+        // Arrange
+        var component = RenderComponent<ConnectionStatus>();
+
+        // Act
+        await component.InvokeAsync(() => component.Instance.OnConnectivityChanged(
+            new ConnectivityStatus { State = "degraded", Circuit = "reconnecting" }));
+
+        // Assert
+        component.Markup.Should().Contain("Weak Connection");
+        component.Markup.Should().NotContain("Performance Mode Active");
+    }
+
     [Fact]
     public void ConnectionStatus_ShouldImplementIAsyncDisposable()
     {
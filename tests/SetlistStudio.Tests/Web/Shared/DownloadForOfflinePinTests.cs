@@ -0,0 +1,86 @@
+using Bunit;
+using FluentAssertions;
+using Microsoft.Extensions.DependencyInjection;
+using MudBlazor.Services;
+using SetlistStudio.Core.Entities;
+using SetlistStudio.Web.Models;
+using SetlistStudio.Web.Shared;
+using Xunit;
+
+namespace SetlistStudio.Tests.Web.Shared;
+
+/// <summary>
+/// Tests for pinning a setlist through DownloadForOffline - the musician sees how many songs
+/// are ready while the service worker packages the setlist, and only a complete package
+/// counts as available offline
+/// </summary>
+public class DownloadForOfflinePinTests : TestContext
+{
+    private readonly JSRuntimeInvocationHandler<OfflinePinnedSetlist> _pinHandler;
+
+    public DownloadForOfflinePinTests()
+    {
+        Services.AddMudServices();
+        JSInterop.Mode = JSRuntimeMode.Loose;
+
+        JSInterop.Setup<OfflineCacheStatus>("setlistStudioApp.offline.getCacheStatus").SetResult(new OfflineCacheStatus());
+        _pinHandler = JSInterop.Setup<OfflinePinnedSetlist>("setlistStudioApp.offline.pinSetlist", _ => true);
+    }
+
+    private IRenderedComponent<DownloadForOffline> RenderAndStartPin()
+    {
+        var component = RenderComponent<DownloadForOffline>(parameters => parameters
+            .Add(p => p.Setlist, new Setlist { Id = 7, Name = "Friday Gig", UserId = "user-1" }));
+
+        component.Find(".download-button").Click();
+        return component;
+    }
+
+    [Fact]
+    public void CacheForOffline_ShouldPinSetlistAndShowSongProgress()
+    {
+        // Arrange
+        var component = RenderAndStartPin();
+
+        // Act
+        component.InvokeAsync(() => component.Instance.OnPinProgress("PIN_PROGRESS",
+            new OfflinePinProgress { Stage = "songs", Completed = 12, Total = 14, Label = "12/14 songs ready" }));
+
+        // Assert
+        _pinHandler.Invocations.Should().ContainSingle()
+            .Which.Arguments[0].Should().Be(7);
+        component.Markup.Should().Contain("12/14 songs ready");
+        component.Markup.Should().NotContain("Available offline");
+    }
+
+    [Fact]
+    public void CacheForOffline_ShouldShowAvailableOffline_WhenPinIsReady()
+    {
+        // Arrange
+        var component = RenderAndStartPin();
+
+        // Act
+        _pinHandler.SetResult(new OfflinePinnedSetlist { SetlistId = "7", SongsReady = 14, SongsTotal = 14, Ready = true });
+
+        // Assert
+        component.WaitForAssertion(() => component.Markup.Should().Contain("Available offline"));
+    }
+
+    [Fact]
+    public void CacheForOffline_ShouldOfferRetry_WhenSomeSongsWereNotCached()
+    {
+        // Arrange
+        var component = RenderAndStartPin();
+
+        // Act
+        _pinHandler.SetResult(new OfflinePinnedSetlist { SetlistId = "7", SongsReady = 12, SongsTotal = 14, Ready = false });
+
+        // Assert
+        component.WaitForAssertion(() =>
+        {
+            component.Markup.Should().Contain("12/14 songs ready");
+            component.Markup.Should().Contain("Cache for Offline");
+            component.Markup.Should().NotContain("Available offline");
+        });
+    }
+}
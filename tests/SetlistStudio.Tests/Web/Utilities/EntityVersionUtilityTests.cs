@@ -0,0 +1,61 @@
+using Microsoft.AspNetCore.Http;
+using SetlistStudio.Web.Utilities;
+using Xunit;
+using FluentAssertions;
+
+namespace SetlistStudio.Tests.Web.Utilities;
+
+/// <summary>
+/// Unit tests for EntityVersionUtility
+/// Tests the X-Base-Version check that rejects stale offline edits
+/// </summary>
+public class EntityVersionUtilityTests
+{
+    private static readonly DateTime CreatedAt = new(2026, 10, 1, 12, 0, 0, DateTimeKind.Utc);
+    private static readonly DateTime UpdatedAt = new(2026, 10, 18, 21, 30, 0, 123, DateTimeKind.Utc);
+
+    private static HttpRequest CreateRequest(string? baseVersion)
+    {
+        var context = new DefaultHttpContext();
+        if (baseVersion != null)
+        {
+            context.Request.Headers[EntityVersionUtility.BaseVersionHeader] = baseVersion;
+        }
+        return context.Request;
+    }
+
+    [Fact]
+    public void GetVersion_ShouldPreferLastModification()
+    {
+        EntityVersionUtility.GetVersion(CreatedAt, UpdatedAt).Should().Be(UpdatedAt);
+        EntityVersionUtility.GetVersion(CreatedAt, null).Should().Be(CreatedAt);
+    }
+
+    [Fact]
+    public void IsStale_ShouldBeFalse_WhenBaseVersionMatches()
+    {
+        // The service worker echoes the timestamp exactly as the API serialized it
+        var request = CreateRequest(UpdatedAt.ToString("O"));
+
+        EntityVersionUtility.IsStale(request, UpdatedAt).Should().BeFalse();
+    }
+
+    [Fact]
+    public void IsStale_ShouldBeTrue_WhenEntityChangedSinceBaseVersion()
+    {
+        var request = CreateRequest(CreatedAt.ToString("O"));
+
+        EntityVersionUtility.IsStale(request, UpdatedAt).Should().BeTrue();
+    }
+
+    [Theory]
+    [InlineData(null)]
+    [InlineData("")]
+    [InlineData("not-a-date")]
+    public void IsStale_ShouldBeFalse_WithoutReadableBaseVersion(string? baseVersion)
+    {
+        var request = CreateRequest(baseVersion);
+
+        EntityVersionUtility.IsStale(request, UpdatedAt).Should().BeFalse();
+    }
+}